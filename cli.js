@@ -4,8 +4,9 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs/promises';
 import chalk from 'chalk';
-import { executeCodeAnalysis } from './src/index.js';
-import progress from './src/progress-util.js';
+import { executeCodeAnalysis, executeDiffAnalysis } from './src/index.js';
+import progress, { createReporter, REPORTER_TYPES } from './src/progress-util.js';
+import { resolveSource } from './src/source-util.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,22 +16,60 @@ const showHelp = () => {
 ${chalk.bold('GitHub to Claude Code Mapper')}
 
 ${chalk.cyan('Description:')}
-  Generates AI-optimized documentation from GitHub repositories for use with Claude.
+  Generates AI-optimized documentation from Git repositories for use with Claude.
   Creates a directory of markdown files, each sized appropriately for LLM processing.
 
 ${chalk.cyan('Usage:')}
-  ${chalk.yellow('npx github2claude')} ${chalk.green('<repository-url>')}
+  ${chalk.yellow('npx github2claude')} ${chalk.green('<repository-url | local-path>')}
+  ${chalk.yellow('npx github2claude diff')} ${chalk.green('<base> <head> [repository-url | local-path]')}
+
+${chalk.cyan('Sources:')}
+  https://github.com/username/repository   Any HTTPS Git host (GitHub, GitLab, Gitea, ...)
+  git@gitlab.com:group/repository.git      SSH remotes (also ssh://)
+  file:///srv/mirrors/repository.git       Local mirrors, cloned like a remote
+  ./path/to/working-tree                   Existing directory, documented in place
 
 ${chalk.cyan('Example:')}
   ${chalk.yellow('npx github2claude')} ${chalk.green('https://github.com/username/repository')}
+  ${chalk.yellow('npx github2claude')} ${chalk.green('.')}
+  ${chalk.yellow('npx github2claude')} ${chalk.green('https://github.com/username/repository')} --ref v2.3.0
+  ${chalk.yellow('npx github2claude diff')} ${chalk.green('main feature/login')}
+
+${chalk.cyan('Diff mode:')}
+  Documents only what changed from <base> to <head> (branches, tags or commits) of the
+  repository (default: the current directory): each changed file's diff, its exports and
+  functions before and after, the symbols added, removed and changed, and the files that
+  import it. Like a pull request, <head> is compared with the merge base of the two
+  (git diff <base>...<head>), so commits made on <base> since do not show up.
+  Written to 'g2c__username-repository/<base>..<head>'.
 
 ${chalk.cyan('Output:')}
-  Creates a 'username__repository@version' directory in your current location
+  Creates a 'g2c__username-repository/version' directory in your current location
   containing markdown files optimized for uploading to Claude.
 
 ${chalk.cyan('Options:')}
-  -h, --help     Show this help message
-  -v, --version  Show version number
+  --ref <ref>              Branch, tag or commit SHA to document (default: default branch)
+  --config <path>          Config file to apply on top of the discovered ones
+  --exclude <pattern>      Additional exclude pattern (repeatable)
+  --extension <ext>        Additional file extension to include, e.g. .kt (repeatable)
+  --max-tokens <n>         Estimated token budget per output file (default: 30000)
+  --max-file-size <n>      Deprecated: output file size in characters, use --max-tokens
+  --single-file            Write one bundled document with a table of contents
+  --bundle-max-tokens <n>  Token cap for --single-file; lowest-priority files are omitted
+  --format <format>        markdown (default), or json / xml for the structured analysis model
+  --detail <level>         full (default), skeleton (bodies elided) or outline (analysis only, no code)
+  --diagrams <format>      Dependency diagrams: mermaid (default), dot or none
+  --no-cache               Analyze every file and rewrite every output file, ignoring earlier runs
+  --jobs <n>               Worker threads for parsing files (default: CPU cores, at most 8)
+  --plugin <module>        Load a plugin from a path or package name (repeatable)
+  --reporter <type>        Progress output: ${REPORTER_TYPES.join(', ')} (default: tty on a terminal, plain otherwise)
+  -q, --quiet              Only print errors (same as --reporter quiet)
+  -h, --help               Show this help message
+  -v, --version            Show version number
+
+${chalk.cyan('Configuration:')}
+  Settings are read from .github2claude.json (or .github2clauderc) in the current
+  directory and in the repository root, then from --config, then from the options above.
 
 For more information, visit: ${chalk.blue('https://github.com/SurfSolana/github-to-claude')}
 `);
@@ -48,6 +87,67 @@ const showVersion = async () => {
     }
 };
 
+// Options that take a value. `override` ones are passed through as config overrides,
+// `repeatable` ones may be given several times and collect into a list.
+const valueOptions = {
+    '--ref': { key: 'ref' },
+    '--config': { key: 'configPath' },
+    '--exclude': { key: 'excludePatterns', override: true, repeatable: true },
+    '--extension': { key: 'textFileExtensions', override: true, repeatable: true },
+    '--max-tokens': { key: 'maxTokens', override: true, parse: Number },
+    '--max-file-size': { key: 'maxFileSize', override: true, parse: Number },
+    '--bundle-max-tokens': { key: 'bundleMaxTokens', override: true, parse: Number },
+    '--format': { key: 'format', override: true },
+    '--detail': { key: 'detail', override: true },
+    '--diagrams': { key: 'diagrams', override: true },
+    '--jobs': { key: 'jobs', override: true, parse: Number },
+    '--plugin': { key: 'plugins', override: true, repeatable: true },
+    '--reporter': { key: 'reporter' },
+};
+
+// Switches without a value, set to `value` (or true) when present
+const flagOptions = {
+    '--single-file': { key: 'singleFile', override: true },
+    '--no-cache': { key: 'cache', override: true, value: false },
+    '--quiet': { key: 'reporter', value: 'quiet' },
+    '-q': { key: 'reporter', value: 'quiet' },
+};
+
+const parseArgs = (args) => {
+    const options = { overrides: {} };
+    const positionals = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].split(/=(.*)/s);
+
+        const spec = valueOptions[flag];
+
+        if (spec) {
+            const rawValue = inlineValue ?? args[++i];
+            if (rawValue === undefined || rawValue === '') {
+                throw new Error(`Option ${flag} requires a value`);
+            }
+            const value = spec.parse ? spec.parse(rawValue) : rawValue;
+            const target = spec.override ? options.overrides : options;
+            target[spec.key] = spec.repeatable ? [...(target[spec.key] || []), value] : value;
+        } else if (flagOptions[flag]) {
+            const { key, override, value = true } = flagOptions[flag];
+            (override ? options.overrides : options)[key] = value;
+        } else if (flag.startsWith('-') && flag !== '-') {
+            if (!['-h', '--help', '-v', '--version'].includes(flag)) {
+                throw new Error(`Unknown option: ${flag}`);
+            }
+        } else {
+            positionals.push(args[i]);
+        }
+    }
+
+    return { options, positionals };
+};
+
+// Replaced by the reporter selected on the command line once the arguments are parsed
+let reporter = progress;
+
 const main = async () => {
     const args = process.argv.slice(2);
 
@@ -61,32 +161,66 @@ const main = async () => {
         process.exit(0);
     }
 
-    const repoUrl = args[0];
+    let parsed;
+    try {
+        parsed = parseArgs(args);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        console.error(chalk.yellow('Run with --help to see the available options'));
+        process.exit(1);
+    }
+
+    const { options, positionals } = parsed;
+    const diffMode = positionals[0] === 'diff';
+    const [source] = diffMode ? positionals.slice(3) : positionals;
+
+    if (options.reporter) {
+        try {
+            reporter = createReporter(options.reporter);
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    }
+
+    if (diffMode && (positionals.length < 3 || options.ref)) {
+        console.error(chalk.red(`Error: ${options.ref ? '--ref cannot be used with diff' : 'diff needs a base and a head ref'}`));
+        console.error(chalk.yellow('Example: npx github2claude diff main feature/login'));
+        process.exit(1);
+    }
 
-    if (!repoUrl.startsWith('https://github.com/')) {
-        console.error(chalk.red('Error: Please provide a valid GitHub repository URL'));
-        console.error(chalk.yellow('Example: https://github.com/username/repository'));
+    if (!source && !diffMode) {
+        showHelp();
+        process.exit(1);
+    }
+
+    try {
+        await resolveSource(source || '.');
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        console.error(chalk.yellow('Please provide a Git repository URL or an existing directory, e.g. https://github.com/username/repository'));
         process.exit(1);
     }
 
     try {
-        await executeCodeAnalysis(repoUrl);
+        if (diffMode) {
+            await executeDiffAnalysis(source || '.', positionals[1], positionals[2], { ...options, reporter });
+        } else {
+            await executeCodeAnalysis(source, { ...options, reporter });
+        }
     } catch (error) {
-        progress.error('Execution failed');
-        console.error(chalk.red(error.message));
+        reporter.error('Execution failed', error);
         process.exit(1);
     }
 };
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (error) => {
-    progress.error('Unexpected error');
-    console.error(chalk.red(error.message));
+    reporter.error('Unexpected error', error);
     process.exit(1);
 });
 
 main().catch(error => {
-    progress.error('Fatal error');
-    console.error(chalk.red(error.message));
+    reporter.error('Fatal error', error);
     process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,100 @@
+// src/analysis-cache.js
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Changed whenever the layout of the cache file changes
+const CACHE_FORMAT = 1;
+
+export function hashContent(...parts) {
+    const hash = createHash('sha256');
+    for (const part of parts) {
+        hash.update(part).update('\0');
+    }
+    return hash.digest('hex');
+}
+
+// What a plugin analyzer's results depend on: its functions, and the source of the module that registered it
+// (which holds the helpers they call)
+async function pluginAnalyzerSource(analyzer) {
+    const functions = [analyzer.analyze, analyzer.resolveImport].filter(Boolean).map(fn => fn.toString());
+    let module = '';
+    if (analyzer.module) {
+        module = await fs.readFile(analyzer.module, 'utf-8').catch(() => '');
+    }
+    return [analyzer.name, analyzer.extensions.join(','), ...functions, module].join('\0');
+}
+
+// Analyses depend on the analyzers as much as on the files, so editing an analyzer, built in or from a plugin,
+// or switching plugin analyzers invalidates the whole cache
+export async function analyzerFingerprint(plugins) {
+    const analyzerDir = join(__dirname, 'analyzers');
+    const analyzerFiles = (await fs.readdir(analyzerDir)).filter(name => name.endsWith('.js')).sort();
+    const sources = await Promise.all([
+        join(__dirname, 'code-analyzer.js'),
+        ...analyzerFiles.map(name => join(analyzerDir, name))
+    ].map(file => fs.readFile(file, 'utf-8')));
+    const pluginAnalyzers = await Promise.all((plugins?.analyzers || []).map(pluginAnalyzerSource));
+    return hashContent(String(CACHE_FORMAT), ...sources, ...pluginAnalyzers);
+}
+
+// Per-file analyses from earlier runs, keyed by a hash of each file's path and content. Only the entries a run
+// uses are saved, so the cache follows the repository instead of growing with every change.
+class AnalysisCache {
+    constructor(cacheFile, fingerprint) {
+        this.cacheFile = cacheFile;
+        this.fingerprint = fingerprint;
+        this.entries = new Map();
+        this.used = new Map();
+        this.reused = 0;
+        this.analyzed = 0;
+    }
+
+    static async load(cacheFile, fingerprint) {
+        const cache = new AnalysisCache(cacheFile, fingerprint);
+        try {
+            const data = JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+            if (data.fingerprint === fingerprint) {
+                cache.entries = new Map(Object.entries(data.entries || {}));
+            }
+        } catch (error) {
+            // Without a readable cache every file is analyzed
+        }
+        return cache;
+    }
+
+    keyFor(relativePath, content) {
+        return hashContent(relativePath, content);
+    }
+
+    get(key) {
+        const analysis = this.entries.get(key);
+        if (analysis) {
+            this.used.set(key, analysis);
+            this.reused++;
+        }
+        return analysis;
+    }
+
+    // The content is read again on every run, so only the analysis is stored
+    set(key, analysis) {
+        const { content, ...stored } = analysis;
+        this.used.set(key, stored);
+        this.analyzed++;
+    }
+
+    async save() {
+        await fs.mkdir(dirname(this.cacheFile), { recursive: true });
+        const data = {
+            fingerprint: this.fingerprint,
+            entries: Object.fromEntries(this.used)
+        };
+        await fs.writeFile(this.cacheFile, JSON.stringify(data));
+    }
+}
+
+export default AnalysisCache;
@@ -0,0 +1,33 @@
+// src/analysis-worker.js
+import { parentPort } from 'worker_threads';
+import CodeAnalyzer from './code-analyzer.js';
+import { Reporter } from './progress-util.js';
+
+// Runs in a thread of the analysis worker pool: analyzes one file per message. Plugin analyzers cannot be
+// passed to a thread, so files they handle are analyzed in the main thread. Warnings are reported there too.
+class WorkerReporter extends Reporter {
+    warn(message, details) {
+        parentPort.postMessage({ type: 'warn', message, details });
+    }
+}
+
+const analyzer = new CodeAnalyzer({
+    progress: new WorkerReporter()
+});
+
+// Content sent along is not sent back; the main thread already has it
+parentPort.on('message', async ({ filePath, content }) => {
+    try {
+        if (content === undefined) {
+            parentPort.postMessage({ type: 'result', result: await analyzer.analyzeFile(filePath) });
+        } else {
+            const analysis = await analyzer.analyzeContent(filePath, content);
+            delete analysis.content;
+            parentPort.postMessage({ type: 'result', result: analysis });
+        }
+    } catch (error) {
+        parentPort.postMessage({ type: 'error', error: error.message });
+    }
+});
+
+parentPort.postMessage({ type: 'ready' });
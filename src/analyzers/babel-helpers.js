@@ -0,0 +1,225 @@
+// src/analyzers/babel-helpers.js
+import * as babelParser from '@babel/parser';
+import traverse from '@babel/traverse';
+import { cleanBlockComment, declarationDoc } from './doc-comments.js';
+import { normalizeWhitespace } from './source-masking.js';
+
+// Declaration helpers shared by the JavaScript and TypeScript analyzers, both of which parse with Babel
+
+const FUNCTION_TYPES = ['ArrowFunctionExpression', 'FunctionExpression'];
+
+export function parseSource(content, filePath) {
+    const typescript = /\.tsx?$/.test(filePath);
+    return babelParser.parse(content, {
+        sourceType: 'module',
+        // JSX only in .tsx among TypeScript files; elsewhere `<T>value` is a type assertion
+        plugins: typescript
+            ? ['typescript', 'decorators-legacy', ...(filePath.endsWith('.tsx') ? ['jsx'] : [])]
+            : ['jsx', 'typescript', 'decorators-legacy'],
+        tokens: true,
+        errorRecovery: true,
+        // CommonJS modules may return early from the top level
+        allowReturnOutsideFunction: !typescript,
+    });
+}
+
+// Types are printed from the source rather than rebuilt from the AST, so unions, generics,
+// function and literal types come out exactly as written
+export function sourceText(node, content) {
+    return node ? normalizeWhitespace(content.slice(node.start, node.end)) : undefined;
+}
+
+export function typeText(node, content) {
+    return sourceText(node?.type === 'TSTypeAnnotation' ? node.typeAnnotation : node, content);
+}
+
+export function keyName(node, content) {
+    const { key } = node;
+    if (node.computed) return `[${sourceText(key, content)}]`;
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    return key.name ?? String(key.value);
+}
+
+// The JSDoc block right above a declaration. Babel attaches it to the outermost node starting there,
+// so `outer` is the `export` or `const` statement a function or class is declared in.
+export function readDoc(node, outer) {
+    for (const candidate of [node, outer]) {
+        const comment = [...(candidate?.leadingComments || [])]
+            .reverse()
+            .find(c => c.type === 'CommentBlock' && c.value.startsWith('*'));
+        if (comment && comment.loc.end.line >= candidate.loc.start.line - 1) {
+            return declarationDoc(cleanBlockComment(comment.value));
+        }
+    }
+    return {};
+}
+
+export function describeFunction(node, name, content, outer) {
+    return {
+        name,
+        generics: typeText(node.typeParameters, content),
+        params: node.params.map(param => sourceText(param, content)),
+        returns: typeText(node.returnType, content),
+        async: Boolean(node.async),
+        generator: Boolean(node.generator),
+        declare: node.declare || undefined,
+        ...readDoc(node, outer),
+        loc: node.loc
+    };
+}
+
+export function describeClass(node, name, content, outer) {
+    const info = {
+        name,
+        kind: 'class',
+        abstract: node.abstract || undefined,
+        generics: typeText(node.typeParameters, content),
+        superClass: node.superClass
+            ? sourceText(node.superClass, content) + (typeText(node.superTypeParameters, content) || '')
+            : undefined,
+        implements: (node.implements || []).map(type => sourceText(type, content)),
+        decorators: (node.decorators || []).map(decorator => sourceText(decorator.expression, content)),
+        fields: [],
+        methods: [],
+        ...readDoc(node, outer),
+        loc: node.loc
+    };
+
+    for (const member of node.body.body) {
+        const visibility = member.accessibility || (member.key?.type === 'PrivateName' ? 'private' : 'public');
+        switch (member.type) {
+            case 'ClassMethod':
+            case 'ClassPrivateMethod':
+            case 'TSDeclareMethod':
+                info.methods.push({
+                    name: keyName(member, content),
+                    kind: member.kind,
+                    visibility,
+                    static: Boolean(member.static),
+                    abstract: member.abstract || undefined,
+                    async: Boolean(member.async),
+                    optional: member.optional || undefined,
+                    generics: typeText(member.typeParameters, content),
+                    params: member.params.map(param => sourceText(param, content)),
+                    returns: typeText(member.returnType, content),
+                    decorators: (member.decorators || []).map(decorator => sourceText(decorator.expression, content)),
+                    ...readDoc(member),
+                    loc: member.loc
+                });
+                // `constructor(private readonly repo: Repo)` declares a field as well
+                for (const param of member.kind === 'constructor' ? member.params : []) {
+                    if (param.type !== 'TSParameterProperty') continue;
+                    const target = param.parameter.type === 'AssignmentPattern' ? param.parameter.left : param.parameter;
+                    info.fields.push({
+                        name: target.name,
+                        type: typeText(target.typeAnnotation, content),
+                        visibility: param.accessibility || 'public',
+                        static: false,
+                        readonly: param.readonly || undefined
+                    });
+                }
+                break;
+            case 'ClassProperty':
+            case 'ClassPrivateProperty':
+            case 'ClassAccessorProperty':
+                // `handle = async (event) => {}` is a method in all but name
+                if (FUNCTION_TYPES.includes(member.value?.type)) {
+                    info.methods.push({
+                        ...describeFunction(member.value, keyName(member, content), content, member),
+                        kind: 'method',
+                        visibility,
+                        static: Boolean(member.static),
+                        generator: undefined,
+                        declare: undefined,
+                        decorators: (member.decorators || []).map(decorator => sourceText(decorator.expression, content)),
+                        loc: member.loc
+                    });
+                    break;
+                }
+                info.fields.push({
+                    name: keyName(member, content),
+                    type: typeText(member.typeAnnotation, content),
+                    visibility,
+                    static: Boolean(member.static),
+                    readonly: member.readonly || undefined,
+                    abstract: member.abstract || undefined,
+                    optional: member.optional || undefined
+                });
+                break;
+            case 'TSIndexSignature':
+                info.fields.push({
+                    name: `[${member.parameters.map(param => sourceText(param, content)).join(', ')}]`,
+                    type: typeText(member.typeAnnotation, content),
+                    visibility: 'public',
+                    static: Boolean(member.static)
+                });
+                break;
+        }
+    }
+
+    return info;
+}
+
+// Functions and classes bound to a name: `const handler = async () => {}`, `const api = { get() {} }`,
+// `module.exports = class {}`. Object members are named `name.member`, or just `member` without a name.
+export function describeValue(node, name, content, outer) {
+    const result = { functions: [], classes: [] };
+    while (['TSAsExpression', 'TSSatisfiesExpression', 'ParenthesizedExpression'].includes(node?.type)) {
+        node = node.expression;
+    }
+
+    if (FUNCTION_TYPES.includes(node?.type)) {
+        result.functions.push(describeFunction(node, name, content, outer));
+    } else if (node?.type === 'ClassExpression') {
+        result.classes.push(describeClass(node, node.id?.name ?? name, content, outer));
+    } else if (node?.type === 'ObjectExpression') {
+        for (const property of node.properties) {
+            const memberName = property.key ? `${name ? `${name}.` : ''}${keyName(property, content)}` : null;
+            if (property.type === 'ObjectMethod') {
+                result.functions.push(describeFunction(property, memberName, content));
+            } else if (property.type === 'ObjectProperty' && FUNCTION_TYPES.includes(property.value.type)) {
+                result.functions.push({ ...describeFunction(property.value, memberName, content, property), loc: property.loc });
+            }
+        }
+    }
+    return result;
+}
+
+function literalSource(node) {
+    if (node?.type === 'StringLiteral') return node.value;
+    if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+// The names a `require()` call binds: `const x = require()`, `const { a, b: c } = require()`, `const x = require().y`
+function requiredNames(path) {
+    let parent = path.parentPath;
+    if (parent.isMemberExpression()) parent = parent.parentPath;
+    if (!parent.isVariableDeclarator()) return [];
+
+    const { id } = parent.node;
+    if (id.type === 'Identifier') return [id.name];
+    if (id.type === 'ObjectPattern') {
+        return id.properties.map(property => (property.value ?? property.argument)?.name).filter(Boolean);
+    }
+    return [];
+}
+
+// `require('x')` and dynamic `import('x')` calls anywhere in the file; only literal paths can be followed
+export function collectCallImports(ast) {
+    const imports = [];
+    traverse.default(ast, {
+        CallExpression: path => {
+            const { callee, arguments: args } = path.node;
+            const source = literalSource(args[0]);
+            if (source === null) return;
+
+            if (callee.type === 'Import') {
+                imports.push({ source, specifiers: [], dynamic: true });
+            } else if (callee.type === 'Identifier' && callee.name === 'require' && !path.scope.hasBinding('require')) {
+                imports.push({ source, specifiers: requiredNames(path) });
+            }
+        }
+    });
+    return imports;
+}
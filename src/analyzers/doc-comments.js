@@ -0,0 +1,231 @@
+// src/analyzers/doc-comments.js
+
+// Doc comment syntax per file extension. `lineDoc` marks declaration docs written as line comments,
+// `blockDoc` JSDoc-style `/** */` blocks; JavaScript and TypeScript get theirs from the parser instead.
+// `lineComments` and `blockComments` are what may make up a file's header comment.
+export const COMMENT_SYNTAX = {
+    js: { lineComments: ['//'], blockComments: true },
+    jsx: { lineComments: ['//'], blockComments: true },
+    mjs: { lineComments: ['//'], blockComments: true },
+    cjs: { lineComments: ['//'], blockComments: true },
+    ts: { lineComments: ['//'], blockComments: true },
+    tsx: { lineComments: ['//'], blockComments: true },
+    py: { lineComments: ['#'] },
+    go: { lineComments: ['//'], blockComments: true, lineDoc: '//' },
+    rs: { lineComments: ['//!', '//'], blockComments: true, lineDoc: '///', innerDoc: '//!' },
+    java: { lineComments: ['//'], blockComments: true, blockDoc: true },
+    php: { lineComments: ['//', '#'], blockComments: true, blockDoc: true },
+    rb: { lineComments: ['#'], lineDoc: '#' },
+};
+
+// Header comments that say nothing about what the file does
+const PATH_ONLY_PATTERN = /^[\w@.\/\\-]+\.\w+$/;
+const NOISE_PATTERN = /^(?:copyright\b|\(c\)|©|license|licensed\b|spdx-license-identifier|eslint|prettier|jshint|global\s|@ts-|istanbul\b|c8\s|@flow\b|@jsx\b|frozen_string_literal|(?:-\*-\s*)?(?:en)?coding[:=]|-\*-|rubocop|phpcs|nolint|go:|\+build|@generated|(?:auto-?)?generated\b|code generated|do not edit)/i;
+// Lines between a doc comment and its declaration: annotations, decorators and attributes
+const ATTRIBUTE_PATTERN = /^(?:@[\w.]+|#\[)/;
+// The first code line after a header comment that still leaves the comment about the file
+const PREAMBLE_PATTERN = /^(?:import\b|export\s+(?:\*|\{)|package\b|namespace\b|use\b|mod\b|require(?:_relative)?\b|from\b|(?:const|let|var)\s+(?:[\w$]+|\{[^}]*\}|\[[^\]]*\])\s*=\s*require\(|module\.exports\b|exports\.[\w$]+\s*=|['"]use strict['"]|declare\s*\(|#include\b|extern\s+crate\b|module\s+\w+\s*$)/;
+const FILE_TAGS = ['file', 'fileoverview', 'overview', 'module', 'packagedocumentation'];
+
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// `{@link Target}` and `{@link Target label}` become their label
+function resolveInlineTags(text) {
+    return text.replace(/\{@(?:link|linkcode|linkplain)\s+([^}|\s]+)(?:[|\s]\s*([^}]*))?\}/g, (match, target, label) => label?.trim() || target);
+}
+
+// The text of a `/** ... */` block without the delimiters and the leading `*` of each line
+export function cleanBlockComment(value) {
+    return value
+        .replace(/^\*+/, '')
+        .split('\n')
+        .map(line => line.replace(/^\s*\*+ ?/, ''))
+        .join('\n')
+        .trim();
+}
+
+// A leading `{type}` (JSDoc) or `[Type]` (YARD), returned with the rest of the text
+function readType(text) {
+    const open = text[0];
+    if (open !== '{' && open !== '[') return { rest: text };
+    const close = open === '{' ? '}' : ']';
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === open) depth++;
+        if (text[i] === close && --depth === 0) {
+            return { type: collapse(text.slice(1, i)), rest: text.slice(i + 1).trim() };
+        }
+    }
+    return { rest: text };
+}
+
+// `@param {Type} [name=default] - description`, TSDoc's `@param name - description`, YARD's
+// `@param name [Type] description` and PHPDoc's `@param Type $name description`
+function parseParamTag(text) {
+    let { type, rest } = readType(text.trim());
+    const phpDoc = !type && rest.match(/^(\S+)\s+(\$\w+)\s*([\s\S]*)$/);
+    if (phpDoc) [, type, rest] = [null, phpDoc[1], `${phpDoc[2]} ${phpDoc[3]}`];
+    const match = rest.match(/^(\[[^\]]*\]|[\w$.]+)\s*([\s\S]*)$/);
+    if (!match) return null;
+
+    let [, name, description] = match;
+    const optional = name.startsWith('[') || undefined;
+    if (optional) name = name.slice(1, -1).split('=')[0].trim();
+    if (!type) {
+        ({ type, rest: description } = readType(description));
+    }
+    return {
+        name,
+        type,
+        optional,
+        description: collapse(description.replace(/^-\s*/, '')) || undefined
+    };
+}
+
+// Splits a cleaned doc comment into its description and the tags we show: @param, @returns and @deprecated.
+// `fileOverview` is set for @file / @fileoverview / @module blocks, which describe the whole file.
+export function parseDocComment(text) {
+    const description = [];
+    const tags = [];
+    for (const line of resolveInlineTags(text).split('\n')) {
+        const tag = line.trim().match(/^@(\w+)\b\s*(.*)$/);
+        if (tag) {
+            tags.push({ name: tag[1].toLowerCase(), text: tag[2] });
+        } else if (tags.length > 0) {
+            tags[tags.length - 1].text += `\n${line}`;
+        } else {
+            description.push(line);
+        }
+    }
+
+    const doc = { docstring: description.join('\n').trim() || undefined };
+    const paramDocs = [];
+    for (const tag of tags) {
+        if (['param', 'arg', 'argument'].includes(tag.name)) {
+            const param = parseParamTag(tag.text);
+            if (param) paramDocs.push(param);
+        } else if (tag.name === 'returns' || tag.name === 'return') {
+            const { type, rest } = readType(tag.text.trim());
+            doc.returnDoc = { type, description: collapse(rest.replace(/^-\s*/, '')) || undefined };
+        } else if (tag.name === 'deprecated') {
+            doc.deprecated = collapse(tag.text) || true;
+        } else if (['description', 'desc', 'summary'].includes(tag.name) && !doc.docstring) {
+            doc.docstring = tag.text.trim() || undefined;
+        } else if (FILE_TAGS.includes(tag.name)) {
+            // `@module name` names the module rather than describing it
+            const overview = tag.name === 'module' ? '' : tag.text.trim();
+            doc.fileOverview = overview || doc.docstring || '';
+        }
+    }
+    if (paramDocs.length > 0) doc.paramDocs = paramDocs;
+    return doc;
+}
+
+// The fields a documented declaration carries
+export function declarationDoc(text) {
+    const { fileOverview, ...doc } = parseDocComment(text);
+    return doc;
+}
+
+// The doc comment directly above line `index` (0-based), skipping annotations and attributes in between
+function readCommentAbove(lines, index, syntax) {
+    while (index >= 0 && ATTRIBUTE_PATTERN.test(lines[index].trim())) index--;
+    const line = lines[index]?.trim() ?? '';
+
+    if (syntax.blockDoc && line.endsWith('*/')) {
+        for (let start = index; start >= 0; start--) {
+            const open = lines[start].indexOf('/*');
+            if (open === -1) continue;
+            const block = lines.slice(start, index + 1).join('\n');
+            const inner = block.slice(block.indexOf('/*') + 2, block.lastIndexOf('*/'));
+            return inner.startsWith('*') ? cleanBlockComment(inner) : null;
+        }
+        return null;
+    }
+
+    const prefix = syntax.lineDoc;
+    const isDocLine = text => text.startsWith(prefix)
+        && !(prefix === '//' && /^\/\/(?:\/|!|go:|nolint|\s*\+build)/.test(text))
+        && !(prefix === '#' && /^#\s*(?:frozen_string_literal|rubocop|-\*-)/.test(text));
+    if (!prefix || !isDocLine(line)) return null;
+
+    const docLines = [];
+    for (let i = index; i >= 0 && isDocLine(lines[i].trim()); i--) {
+        docLines.unshift(lines[i].trim().slice(prefix.length).replace(/^ /, ''));
+    }
+    return docLines.join('\n').trim() || null;
+}
+
+// Adds the doc comments written above declarations in languages parsed line by line
+export function attachDocComments(analysis, content, syntax) {
+    if (!syntax?.lineDoc && !syntax?.blockDoc) return analysis;
+
+    const lines = content.split('\n');
+    const declarations = new Set([
+        ...(analysis.functions || []),
+        ...(analysis.classes || []),
+        ...(analysis.classes || []).flatMap(c => c.methods || []),
+        ...(analysis.interfaces || []),
+        ...(analysis.types || []),
+        ...(analysis.impls || []).flatMap(i => i.methods || [])
+    ]);
+
+    for (const declaration of declarations) {
+        if (!declaration.loc || declaration.docstring !== undefined) continue;
+        const text = readCommentAbove(lines, declaration.loc.start.line - 2, syntax);
+        if (text) Object.assign(declaration, declarationDoc(text));
+    }
+    return analysis;
+}
+
+// The comment at the top of a file, when it describes the file: license headers, tool directives and
+// lone file names are skipped, and so is a comment that documents the declaration right below it
+export function readHeaderComment(content, syntax) {
+    if (!syntax) return undefined;
+    const lines = content.split('\n');
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index].trim();
+        if (line === '' || (index === 0 && line.startsWith('#!')) || /^<\?php\b/.test(line)) {
+            index++;
+            continue;
+        }
+
+        if (syntax.blockComments && line.startsWith('/*')) {
+            let end = index;
+            while (end < lines.length && !lines[end].includes('*/', end === index ? lines[end].indexOf('/*') + 2 : 0)) end++;
+            const block = lines.slice(index, end + 1).join('\n');
+            const inner = block.slice(block.indexOf('/*') + 2, block.lastIndexOf('*/'));
+            blocks.push({ text: cleanBlockComment(inner), end });
+            index = end + 1;
+            continue;
+        }
+
+        const prefix = (syntax.lineComments || []).find(p => line.startsWith(p));
+        if (!prefix) break;
+        const blockLines = [];
+        while (index < lines.length && lines[index].trim().startsWith(prefix)) {
+            blockLines.push(lines[index].trim().slice(prefix.length).replace(/^ /, ''));
+            index++;
+        }
+        // Directives such as `-*- coding: utf-8 -*-` often share the block with the description
+        while (blockLines.length > 0 && NOISE_PATTERN.test(blockLines[0].trim())) blockLines.shift();
+        blocks.push({ text: blockLines.join('\n').trim(), end: index - 1, inner: prefix === syntax.innerDoc });
+    }
+
+    const parsed = blocks.map(block => ({ ...block, ...parseDocComment(block.text) }));
+    const overview = parsed.find(block => block.inner || block.fileOverview);
+    if (overview) return (overview.fileOverview || overview.docstring || '').trim() || undefined;
+
+    const codeLine = lines[index]?.trim() ?? '';
+    const attached = parsed.length > 0 && parsed[parsed.length - 1].end === index - 1 && !PREAMBLE_PATTERN.test(codeLine);
+    const candidates = attached ? parsed.slice(0, -1) : parsed;
+    const header = candidates.find(block => block.docstring
+        && !PATH_ONLY_PATTERN.test(block.docstring)
+        && !NOISE_PATTERN.test(block.docstring));
+    return header?.docstring;
+}
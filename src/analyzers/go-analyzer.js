@@ -0,0 +1,315 @@
+// src/analyzers/go-analyzer.js
+import { dirname, join } from 'path';
+import fs from 'fs/promises';
+import {
+    createLineLocator,
+    findClosingBracket,
+    findTopLevel,
+    maskSource,
+    normalizeWhitespace,
+    splitTopLevel,
+    toLoc
+} from './source-masking.js';
+import FileIndex from '../file-index.js';
+
+const GO_SYNTAX = {
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    quotes: {
+        '"': { escapes: true },
+        "'": { escapes: true },
+        '`': { escapes: false, multiline: true }
+    }
+};
+
+// Top-level declarations always start a line in gofmt'ed code
+const PACKAGE_PATTERN = /package\s+([A-Za-z_]\w*)/y;
+const IMPORT_PATTERN = /import\b\s*/y;
+const FUNC_PATTERN = /func\b\s*/y;
+const TYPE_PATTERN = /type\b\s*/y;
+const VALUE_PATTERN = /(const|var)\b\s*/y;
+const NAME_PATTERN = /([A-Za-z_]\w*)/y;
+const IMPORT_SPEC_PATTERN = /^(?:([\w.]+)\s+)?["`]([^"`]+)["`]/;
+
+const isExported = name => /^[A-Z]/.test(name);
+
+function matchAt(pattern, text, offset) {
+    pattern.lastIndex = offset;
+    return pattern.exec(text);
+}
+
+// Splits a block body into its statements, which end at newlines or semicolons outside brackets
+function splitStatements(content, masked, start, end) {
+    const statements = [];
+    let position = start;
+    while (position < end) {
+        let stop = findTopLevel(masked, position, '\n;');
+        if (stop === -1 || stop > end) stop = end;
+        const text = masked.slice(position, stop).trim();
+        if (text) {
+            const offset = position + masked.slice(position, stop).search(/\S/);
+            statements.push({
+                original: content.slice(offset, offset + text.length),
+                masked: text,
+                offset
+            });
+        }
+        position = stop + 1;
+    }
+    return statements;
+}
+
+// The opening brace of a function body; braces of struct{} and interface{} types in the signature are skipped
+function findBody(masked, start) {
+    let depth = 0;
+    for (let i = start; i < masked.length; i++) {
+        const char = masked[i];
+        if (char === '(' || char === '[') depth++;
+        if (char === ')' || char === ']') depth--;
+        if (depth > 0) continue;
+        if (char === '\n') return -1;
+        if (char === '{') {
+            if (!/\b(struct|interface)\s*$/.test(masked.slice(start, i))) return i;
+            i = findClosingBracket(masked, i);
+        }
+    }
+    return -1;
+}
+
+function receiverType(receiver) {
+    const parts = normalizeWhitespace(receiver).split(' ');
+    return parts[parts.length - 1].replace(/^\*/, '').replace(/\[.*$/, '');
+}
+
+function parseImportSpec(text) {
+    const match = text.match(IMPORT_SPEC_PATTERN);
+    if (!match) return null;
+    const [, alias, source] = match;
+    return {
+        source,
+        specifiers: [alias || source.split('/').pop()]
+    };
+}
+
+function parseFields(content, masked, start, end) {
+    return splitStatements(content, masked, start, end).map(statement => {
+        // Struct tags are string literals, which only survive masking as their quotes
+        const text = normalizeWhitespace(statement.masked.replace(/`[^`]*`|"[^"]*"/g, ''));
+        const nameMatch = text.match(/^([A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)\s+(\S.*)$/);
+        if (!nameMatch) {
+            return { name: text.replace(/^\*/, '').split('.').pop(), type: text, embedded: true };
+        }
+        return { name: nameMatch[1].split(/\s*,\s*/).join(', '), type: nameMatch[2] };
+    });
+}
+
+export function analyzeGo(content) {
+    const masked = maskSource(content, GO_SYNTAX);
+    const lineAt = createLineLocator(content);
+    const analysis = {
+        language: 'go',
+        package: null,
+        imports: [],
+        exports: [],
+        functions: [],
+        classes: [],
+        interfaces: [],
+        types: [],
+        impls: [],
+        content
+    };
+    const methods = [];
+    const exportName = name => {
+        if (isExported(name)) analysis.exports.push({ type: 'named', name });
+    };
+
+    const parseFunction = offset => {
+        let position = offset;
+        let receiver = null;
+        if (masked[position] === '(') {
+            const close = findClosingBracket(masked, position);
+            receiver = normalizeWhitespace(content.slice(position + 1, close));
+            position = close + 1;
+            while (/\s/.test(masked[position])) position++;
+        }
+        const nameMatch = matchAt(NAME_PATTERN, masked, position);
+        if (!nameMatch) return offset;
+        position += nameMatch[0].length;
+
+        let typeParams;
+        if (masked[position] === '[') {
+            const close = findClosingBracket(masked, position);
+            typeParams = normalizeWhitespace(content.slice(position, close + 1));
+            position = close + 1;
+        }
+        const open = masked.indexOf('(', position);
+        const close = findClosingBracket(masked, open);
+        const body = findBody(masked, close + 1);
+        const signatureEnd = body === -1 ? findTopLevel(masked, close + 1, '\n') : body;
+        const end = body === -1 ? signatureEnd : findClosingBracket(masked, body);
+        const returns = normalizeWhitespace(content.slice(close + 1, signatureEnd === -1 ? masked.length : signatureEnd));
+
+        const details = {
+            name: nameMatch[1],
+            params: splitTopLevel(content.slice(open + 1, close), masked.slice(open + 1, close)),
+            typeParams,
+            returns: returns || undefined,
+            loc: toLoc(lineAt(offset), lineAt(end === -1 ? masked.length : end))
+        };
+        if (receiver) {
+            methods.push({ ...details, kind: 'method', receiver, static: false, type: receiverType(receiver) });
+        } else {
+            analysis.functions.push({ ...details, async: false, generator: false });
+            exportName(details.name);
+        }
+        return end === -1 ? masked.length : end;
+    };
+
+    const parseTypeSpec = (offset, declarationStart) => {
+        const nameMatch = matchAt(NAME_PATTERN, masked, offset);
+        if (!nameMatch) return offset;
+        const name = nameMatch[1];
+        let position = offset + nameMatch[0].length;
+        let typeParams;
+        // `Name[T any]` declares type parameters, `Name [4]int` is an array type
+        if (masked[position] === '[') {
+            const close = findClosingBracket(masked, position);
+            typeParams = normalizeWhitespace(content.slice(position, close + 1));
+            position = close + 1;
+        }
+        let end = findTopLevel(masked, position, '\n;)');
+        if (end === -1) end = masked.length;
+        const definition = masked.slice(position, end).replace(/^\s*=?\s*/, '');
+        const loc = toLoc(lineAt(declarationStart), lineAt(end));
+        exportName(name);
+
+        const kind = definition.match(/^(struct|interface)\s*\{/);
+        if (!kind) {
+            analysis.types.push({ name, typeParams, type: normalizeWhitespace(content.slice(end - definition.length, end)), loc });
+            return end;
+        }
+
+        const open = masked.indexOf('{', position);
+        const close = findClosingBracket(masked, open);
+        if (kind[1] === 'struct') {
+            analysis.classes.push({
+                name,
+                kind: 'struct',
+                typeParams,
+                fields: parseFields(content, masked, open + 1, close),
+                methods: [],
+                loc
+            });
+        } else {
+            const properties = [];
+            const embeds = [];
+            for (const statement of splitStatements(content, masked, open + 1, close)) {
+                const method = statement.masked.match(/^([A-Za-z_]\w*)\s*\(/);
+                if (method) {
+                    properties.push({
+                        name: method[1],
+                        type: `func${normalizeWhitespace(statement.original.slice(method[1].length))}`
+                    });
+                } else {
+                    embeds.push(normalizeWhitespace(statement.masked));
+                }
+            }
+            analysis.interfaces.push({ name, typeParams, properties, extends: embeds, loc });
+        }
+        return close;
+    };
+
+    // Declarations with an optional parenthesized group form: import (...), type (...), const (...), var (...)
+    const parseGroup = (offset, parseSpec) => {
+        if (masked[offset] !== '(') {
+            return parseSpec(offset);
+        }
+        const close = findClosingBracket(masked, offset);
+        for (const statement of splitStatements(content, masked, offset + 1, close)) {
+            parseSpec(statement.offset);
+        }
+        return close;
+    };
+
+    let offset = 0;
+    while (offset < masked.length) {
+        let end = offset;
+        let match;
+        if ((match = matchAt(PACKAGE_PATTERN, masked, offset))) {
+            analysis.package = match[1];
+        } else if ((match = matchAt(IMPORT_PATTERN, masked, offset))) {
+            end = parseGroup(offset + match[0].length, specOffset => {
+                const end = findTopLevel(masked, specOffset, '\n;)');
+                const spec = parseImportSpec(content.slice(specOffset, end === -1 ? masked.length : end));
+                if (spec) analysis.imports.push(spec);
+                return end;
+            });
+        } else if ((match = matchAt(FUNC_PATTERN, masked, offset))) {
+            end = parseFunction(offset + match[0].length);
+        } else if ((match = matchAt(TYPE_PATTERN, masked, offset))) {
+            // A grouped type's location starts at its own name rather than at the `type` keyword
+            const grouped = masked[offset + match[0].length] === '(';
+            end = parseGroup(offset + match[0].length, specOffset => parseTypeSpec(specOffset, grouped ? specOffset : offset));
+        } else if ((match = matchAt(VALUE_PATTERN, masked, offset))) {
+            end = parseGroup(offset + match[0].length, specOffset => {
+                const names = masked.slice(specOffset).match(/^[A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*/);
+                (names ? names[0].split(/\s*,\s*/) : []).forEach(exportName);
+                const end = findTopLevel(masked, specOffset, '\n;)');
+                return end === -1 ? masked.length : end;
+            });
+        }
+
+        // Continue with the next line after the declaration
+        const lineEnd = masked.indexOf('\n', Math.max(end, offset));
+        offset = lineEnd === -1 ? masked.length : lineEnd + 1;
+    }
+
+    // Methods are listed with their receiver type when it is declared in the same file
+    for (const { type, ...method } of methods) {
+        const owner = analysis.classes.find(c => c.name === type);
+        if (owner) {
+            owner.methods.push(method);
+            continue;
+        }
+        let impl = analysis.impls.find(i => i.type === type);
+        if (!impl) {
+            impl = { type, methods: [] };
+            analysis.impls.push(impl);
+        }
+        impl.methods.push(method);
+    }
+
+    return analysis;
+}
+
+// The nearest go.mod above a directory and inside the repository, as { root, modulePath }
+function findGoModule(dir, index) {
+    if (!index.contains(dir)) return null;
+    return index.memo('go.mod', dir, async () => {
+        try {
+            const goMod = await fs.readFile(join(dir, 'go.mod'), 'utf-8');
+            const match = goMod.match(/^module\s+(\S+)/m);
+            return match ? { root: dir, modulePath: match[1].replace(/^"|"$/g, '') } : null;
+        } catch (error) {
+            const parent = dirname(dir);
+            return parent === dir ? null : findGoModule(parent, index);
+        }
+    });
+}
+
+// Imports inside the current module resolve to the Go files of the imported package's directory
+export async function resolveGoImport(fromPath, imp, knownFiles) {
+    const index = FileIndex.from(knownFiles);
+    const module = await findGoModule(dirname(fromPath), index);
+    if (!module) return imp.source;
+
+    const { root, modulePath } = module;
+    if (imp.source !== modulePath && !imp.source.startsWith(`${modulePath}/`)) {
+        return imp.source;
+    }
+
+    const packageDir = join(root, imp.source.slice(modulePath.length));
+    const packageFiles = index.inDirectory(packageDir)
+        .filter(file => file.endsWith('.go') && !file.endsWith('_test.go'));
+    return packageFiles.length > 0 ? packageFiles : packageDir;
+}
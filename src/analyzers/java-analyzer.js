@@ -0,0 +1,345 @@
+// src/analyzers/java-analyzer.js
+import { dirname, join, sep } from 'path';
+import {
+    createLineLocator,
+    findClosingBracket,
+    findTopLevel,
+    maskSource,
+    normalizeWhitespace,
+    splitTopLevel,
+    toLoc
+} from './source-masking.js';
+import FileIndex from '../file-index.js';
+
+const JAVA_SYNTAX = {
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    quotes: {
+        '"""': { escapes: true, multiline: true },
+        '"': { escapes: true },
+        "'": { escapes: true }
+    }
+};
+
+const MODIFIERS = new Set([
+    'public', 'protected', 'private', 'static', 'final', 'abstract', 'sealed', 'non-sealed',
+    'strictfp', 'default', 'synchronized', 'native', 'transient', 'volatile'
+]);
+const VISIBILITIES = ['public', 'protected', 'private'];
+const INTERFACE_KINDS = ['interface', 'annotation'];
+const SPLIT_OPTIONS = { angleBrackets: true };
+
+const PACKAGE_PATTERN = /\bpackage\s+([\w.]+)\s*;/;
+const IMPORT_PATTERN = /\bimport\s+(static\s+)?([\w.]+(?:\.\*)?)\s*;/g;
+const TYPE_PATTERN = /(class|interface|enum|record|@interface)\s+([A-Za-z_$][\w$]*)/y;
+const WORD_PATTERN = /[\w-]+/y;
+const ANNOTATION_PATTERN = /@[\w.$]+/y;
+
+function matchAt(pattern, text, offset) {
+    pattern.lastIndex = offset;
+    return pattern.exec(text);
+}
+
+function findClosingAngle(masked, index) {
+    let depth = 0;
+    for (let i = index; i < masked.length; i++) {
+        if (masked[i] === '<') depth++;
+        if (masked[i] === '>') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return masked.length - 1;
+}
+
+// A clause of a type header such as `extends A, B<C>`, up to the next keyword
+function readClause(header, keyword) {
+    const match = header.match(new RegExp(`\\b${keyword}\\s+(.+?)(?=\\s+(?:extends|implements|permits)\\b|$)`));
+    return match ? splitTopLevel(match[1], match[1], SPLIT_OPTIONS) : [];
+}
+
+export function analyzeJava(content) {
+    const masked = maskSource(content, JAVA_SYNTAX);
+    const lineAt = createLineLocator(content);
+    const analysis = {
+        language: 'java',
+        package: masked.match(PACKAGE_PATTERN)?.[1] || null,
+        imports: [],
+        exports: [],
+        classes: [],
+        interfaces: [],
+        content
+    };
+
+    for (const match of masked.matchAll(IMPORT_PATTERN)) {
+        const source = match[2];
+        analysis.imports.push({
+            source,
+            specifiers: [source.split('.').pop()],
+            static: Boolean(match[1]) || undefined
+        });
+    }
+
+    const skipWhitespace = position => {
+        while (position < masked.length && /\s/.test(masked[position])) position++;
+        return position;
+    };
+
+    // Annotations and modifiers in front of a declaration
+    const readPrefix = position => {
+        const annotations = [];
+        const modifiers = [];
+        let start = null;
+        while (true) {
+            position = skipWhitespace(position);
+            const annotation = masked.startsWith('@interface', position) ? null : matchAt(ANNOTATION_PATTERN, masked, position);
+            if (annotation) {
+                start ??= position;
+                let end = skipWhitespace(position + annotation[0].length);
+                if (masked[end] === '(') {
+                    end = findClosingBracket(masked, end) + 1;
+                } else {
+                    end = position + annotation[0].length;
+                }
+                annotations.push(normalizeWhitespace(content.slice(position + 1, end)));
+                position = end;
+                continue;
+            }
+            const word = matchAt(WORD_PATTERN, masked, position);
+            if (word && MODIFIERS.has(word[0])) {
+                start ??= position;
+                modifiers.push(word[0]);
+                position += word[0].length;
+                continue;
+            }
+            return { annotations, modifiers, position, start: start ?? position };
+        }
+    };
+
+    const visibilityOf = (modifiers, fallback) => VISIBILITIES.find(v => modifiers.includes(v)) || fallback;
+
+    const parseMethod = (prefix, parenIndex, owner) => {
+        const header = normalizeWhitespace(content.slice(prefix.position, parenIndex));
+        const name = header.match(/([A-Za-z_$][\w$]*)$/)?.[1];
+        let returns = header.slice(0, header.length - (name || '').length).trim();
+        const generics = returns.startsWith('<') ? returns.slice(0, findClosingAngle(returns, 0) + 1) : undefined;
+        if (generics) returns = returns.slice(generics.length).trim();
+
+        const close = findClosingBracket(masked, parenIndex);
+        const stop = findTopLevel(masked, close + 1, ';{');
+        const end = stop !== -1 && masked[stop] === '{' ? findClosingBracket(masked, stop) : (stop === -1 ? masked.length - 1 : stop);
+        const throwsClause = normalizeWhitespace(content.slice(close + 1, stop === -1 ? end : stop)).match(/^throws\s+(.+)$/);
+        const isInterface = INTERFACE_KINDS.includes(owner.kind);
+
+        return {
+            end,
+            method: {
+                name,
+                kind: returns ? 'method' : 'constructor',
+                visibility: visibilityOf(prefix.modifiers, isInterface ? 'public' : 'package'),
+                static: prefix.modifiers.includes('static'),
+                abstract: prefix.modifiers.includes('abstract') || (isInterface && masked[stop] !== '{') || undefined,
+                generics,
+                params: splitTopLevel(content.slice(parenIndex + 1, close), masked.slice(parenIndex + 1, close), SPLIT_OPTIONS),
+                returns: returns || undefined,
+                throws: throwsClause ? splitTopLevel(throwsClause[1]) : undefined,
+                decorators: prefix.annotations,
+                loc: toLoc(lineAt(prefix.start), lineAt(end))
+            }
+        };
+    };
+
+    // Members between the braces of a type body; nested types are added to the analysis as Outer.Inner
+    const parseMembers = (start, end, owner) => {
+        let position = start;
+        if (owner.kind === 'enum') {
+            // Enum constants come first, up to the first semicolon
+            const stop = findTopLevel(masked, start, ';');
+            const constantsEnd = stop === -1 || stop > end ? end : stop;
+            owner.variants = splitTopLevel(masked.slice(start, constantsEnd), undefined, SPLIT_OPTIONS)
+                .map(constant => constant.match(/^(?:@[\w.]+\s*)*([A-Za-z_$][\w$]*)/)?.[1])
+                .filter(Boolean);
+            position = constantsEnd + 1;
+        }
+
+        while (position < end) {
+            const prefix = readPrefix(position);
+            position = prefix.position;
+            if (position >= end) break;
+
+            if (matchAt(TYPE_PATTERN, masked, position)) {
+                position = parseType(prefix, owner.name) + 1;
+                continue;
+            }
+            if (masked[position] === '{') {
+                // Initializer block
+                position = findClosingBracket(masked, position) + 1;
+                continue;
+            }
+
+            const stop = findTopLevel(masked, position, ';{=(');
+            if (stop === -1 || stop >= end) break;
+            if (masked[stop] === '(') {
+                const { end: methodEnd, method } = parseMethod(prefix, stop, owner);
+                if (method.name) owner.methods.push(method);
+                position = methodEnd + 1;
+            } else if (masked[stop] === '{') {
+                position = findClosingBracket(masked, stop) + 1;
+            } else {
+                const fieldEnd = findTopLevel(masked, position, ';');
+                const declarators = splitTopLevel(
+                    content.slice(position, masked[stop] === '=' ? stop : fieldEnd),
+                    masked.slice(position, masked[stop] === '=' ? stop : fieldEnd),
+                    SPLIT_OPTIONS
+                );
+                const first = declarators[0]?.match(/^(.*\S)\s+([A-Za-z_$][\w$]*)$/);
+                if (first) {
+                    for (const name of [first[2], ...declarators.slice(1).map(d => d.split('=')[0].trim())]) {
+                        owner.fields.push({
+                            name,
+                            type: first[1],
+                            visibility: visibilityOf(prefix.modifiers, INTERFACE_KINDS.includes(owner.kind) ? 'public' : 'package'),
+                            static: prefix.modifiers.includes('static')
+                        });
+                    }
+                }
+                position = (fieldEnd === -1 ? end : fieldEnd) + 1;
+            }
+        }
+    };
+
+    const parseType = (prefix, outerName) => {
+        const match = matchAt(TYPE_PATTERN, masked, prefix.position);
+        const [header, kind, simpleName] = match;
+        let position = skipWhitespace(prefix.position + header.length);
+        let generics;
+        if (masked[position] === '<') {
+            const close = findClosingAngle(masked, position);
+            generics = normalizeWhitespace(content.slice(position, close + 1));
+            position = close + 1;
+        }
+
+        const open = findTopLevel(masked, position, '{');
+        const close = open === -1 ? masked.length - 1 : findClosingBracket(masked, open);
+        const signature = normalizeWhitespace(masked.slice(position, open === -1 ? close : open));
+        const name = outerName ? `${outerName}.${simpleName}` : simpleName;
+        const info = {
+            name,
+            kind: kind === '@interface' ? 'annotation' : kind,
+            visibility: visibilityOf(prefix.modifiers, 'package'),
+            static: prefix.modifiers.includes('static') || undefined,
+            abstract: prefix.modifiers.includes('abstract') || undefined,
+            generics,
+            decorators: prefix.annotations,
+            methods: [],
+            fields: [],
+            loc: toLoc(lineAt(prefix.start), lineAt(close))
+        };
+
+        // Record components are the record's fields
+        if (kind === 'record' && masked[skipWhitespace(position)] === '(') {
+            const componentsOpen = skipWhitespace(position);
+            const componentsClose = findClosingBracket(masked, componentsOpen);
+            info.fields = splitTopLevel(content.slice(componentsOpen + 1, componentsClose), masked.slice(componentsOpen + 1, componentsClose), SPLIT_OPTIONS)
+                .map(component => component.match(/^(.*\S)\s+([A-Za-z_$][\w$]*)$/))
+                .filter(Boolean)
+                .map(([, type, fieldName]) => ({ name: fieldName, type, visibility: 'private' }));
+        }
+
+        const isInterface = INTERFACE_KINDS.includes(info.kind);
+        if (isInterface) {
+            info.extends = readClause(signature, 'extends');
+        } else {
+            info.superClass = readClause(signature, 'extends')[0];
+            info.implements = readClause(signature, 'implements');
+        }
+
+        if (open !== -1) {
+            parseMembers(open + 1, close, info);
+        }
+
+        if (isInterface) {
+            const { methods, fields, ...rest } = info;
+            analysis.interfaces.push({
+                ...rest,
+                properties: methods.map(method => ({
+                    name: method.name,
+                    type: `${method.returns || 'void'} (${method.params.join(', ')})`
+                }))
+            });
+        } else {
+            analysis.classes.push(info);
+        }
+        if (!outerName && info.visibility === 'public') {
+            analysis.exports.push({ type: 'named', name });
+        }
+        return close;
+    };
+
+    // Top-level type declarations
+    let position = 0;
+    while (position < masked.length) {
+        const prefix = readPrefix(position);
+        if (prefix.position >= masked.length) break;
+        if (matchAt(TYPE_PATTERN, masked, prefix.position)) {
+            position = parseType(prefix, null) + 1;
+            continue;
+        }
+        const stop = findTopLevel(masked, prefix.position, ';{');
+        if (stop === -1) break;
+        position = (masked[stop] === '{' ? findClosingBracket(masked, stop) : stop) + 1;
+    }
+
+    // Nested types are parsed before their outer type finishes, keep the source order
+    analysis.classes.sort((a, b) => a.loc.start.line - b.loc.start.line);
+    analysis.interfaces.sort((a, b) => a.loc.start.line - b.loc.start.line);
+
+    return analysis;
+}
+
+// Source root of a file: its directory without the package path, e.g. src/main/java
+function sourceRoot(fromPath, packageName) {
+    const dir = dirname(fromPath);
+    const packageDir = (packageName || '').split('.').filter(Boolean).join(sep);
+    return packageDir && dir.endsWith(sep + packageDir) ? dir.slice(0, -packageDir.length - 1) : dir;
+}
+
+// A class of the repository; the same source root is preferred over other modules
+function findClassFile(root, segments, knownFiles) {
+    const relativePath = `${join(...segments)}.java`;
+    const local = join(root, relativePath);
+    if (knownFiles.has(local)) return local;
+    return knownFiles.withSuffix(sep + relativePath)
+        .sort((a, b) => a.length - b.length)[0];
+}
+
+// Maps imports to the files declaring the imported classes: package directories are
+// looked up below the file's source root, then below any other source root in the repository
+export function resolveJavaImport(fromPath, imp, analysis, knownFiles) {
+    const index = FileIndex.from(knownFiles);
+    const root = sourceRoot(fromPath, analysis.package);
+    const segments = imp.source.split('.');
+
+    if (segments[segments.length - 1] === '*') {
+        const packagePath = sep + join(...segments.slice(0, -1));
+        const packageFiles = index.inDirectoriesEndingWith(packagePath).filter(file => file.endsWith('.java'));
+        // `import static pkg.Class.*` imports the members of a class, not a package
+        if (packageFiles.length > 0 || !imp.static) {
+            return packageFiles.length > 0 ? packageFiles : imp.source;
+        }
+        segments.pop();
+    }
+
+    // Static imports and nested classes name members below the class
+    for (let length = segments.length; length > 1; length--) {
+        const file = findClassFile(root, segments.slice(0, length), index);
+        if (file) return file === fromPath ? [] : file;
+    }
+
+    // Imports from the file's own top-level package are ours even when the file was not analyzed
+    const ownPrefix = (analysis.package || '').split('.').slice(0, 2).join('.');
+    if (ownPrefix && imp.source.startsWith(`${ownPrefix}.`)) {
+        return join(root, ...segments) + '.java';
+    }
+    return imp.source;
+}
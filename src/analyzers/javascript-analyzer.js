@@ -0,0 +1,125 @@
+// src/analyzers/javascript-analyzer.js
+import traverse from '@babel/traverse';
+import { collectCallImports, describeClass, describeFunction, describeValue, parseSource, sourceText } from './babel-helpers.js';
+
+// `module.exports`, `exports.name` and `module.exports.name`; returns the exported name, or null for the whole module
+function commonJsTarget(node) {
+    if (node.type !== 'MemberExpression' || node.computed) return undefined;
+    const isModuleExports = target => target.type === 'MemberExpression' && !target.computed
+        && target.object.name === 'module' && target.property.name === 'exports';
+
+    if (isModuleExports(node)) return null;
+    if (node.object.name === 'exports' || isModuleExports(node.object)) return node.property.name;
+    return undefined;
+}
+
+function isTopLevel(path) {
+    return path.parentPath.isProgram()
+        || (path.parentPath.isExportNamedDeclaration() && path.parentPath.parentPath.isProgram());
+}
+
+export function analyzeJavaScript(content, filePath) {
+    const ast = parseSource(content, filePath);
+
+    const analysis = {
+        language: 'javascript',
+        imports: [],
+        exports: [],
+        functions: [],
+        classes: [],
+        content
+    };
+    const addExport = (type, name) => {
+        if (!analysis.exports.some(e => e.type === type && e.name === name)) {
+            analysis.exports.push({ type, name });
+        }
+    };
+    const addValue = (node, name, outer) => {
+        const { functions, classes } = describeValue(node, name, content, outer);
+        analysis.functions.push(...functions);
+        analysis.classes.push(...classes);
+    };
+
+    traverse.default(ast, {
+        ImportDeclaration: path => {
+            analysis.imports.push({
+                source: path.node.source.value,
+                specifiers: path.node.specifiers.map(spec => spec.local?.name).filter(Boolean)
+            });
+        },
+
+        ExportNamedDeclaration: path => {
+            const { declaration, specifiers, source } = path.node;
+            if (source) {
+                analysis.imports.push({
+                    source: source.value,
+                    specifiers: specifiers.map(spec => spec.local?.name ?? spec.exported.name)
+                });
+            }
+            if (declaration?.declarations) {
+                declaration.declarations.forEach(d => addExport('named', d.id.name ?? sourceText(d.id, content)));
+            } else if (declaration?.id) {
+                addExport('named', declaration.id.name);
+            } else {
+                specifiers.forEach(spec => addExport('named', spec.exported.name ?? spec.exported.value));
+            }
+        },
+
+        ExportDefaultDeclaration: path => {
+            const { declaration } = path.node;
+            addExport('default', declaration.name ?? declaration.id?.name ?? 'default');
+            // Object literals and anonymous functions have no declaration of their own
+            if (declaration.type === 'ObjectExpression' || (!declaration.id && declaration.type.endsWith('FunctionExpression'))) {
+                addValue(declaration, declaration.type === 'ObjectExpression' ? '' : 'default', path.node);
+            }
+        },
+
+        ExportAllDeclaration: path => {
+            analysis.imports.push({ source: path.node.source.value, specifiers: [path.node.exported?.name ?? '*'] });
+        },
+
+        FunctionDeclaration: path => {
+            analysis.functions.push(describeFunction(path.node, path.node.id?.name ?? 'default', content, path.parentPath.isExportDeclaration() ? path.parent : undefined));
+        },
+
+        ClassDeclaration: path => {
+            analysis.classes.push(describeClass(path.node, path.node.id?.name ?? 'default', content, path.parentPath.isExportDeclaration() ? path.parent : undefined));
+        },
+
+        // Module-level `const handler = async () => {}`, object literals with methods and class expressions
+        VariableDeclaration: path => {
+            if (!isTopLevel(path)) return;
+            for (const declarator of path.node.declarations) {
+                if (declarator.id.type === 'Identifier') {
+                    addValue(declarator.init, declarator.id.name, path.parentPath.isExportNamedDeclaration() ? path.parent : path.node);
+                }
+            }
+        },
+
+        // CommonJS exports, when assigned at the top level of the module
+        AssignmentExpression: path => {
+            if (!path.parentPath.isExpressionStatement() || !path.parentPath.parentPath.isProgram()) return;
+            const { left, right } = path.node;
+            const target = commonJsTarget(left);
+            if (target === undefined) return;
+
+            if (target !== null) {
+                addExport('named', target);
+                addValue(right, target, path.parent);
+            } else if (right.type === 'ObjectExpression') {
+                // module.exports = { a, b: () => {} } exports each property by name
+                right.properties
+                    .filter(property => property.key)
+                    .forEach(property => addExport('named', property.key.name ?? String(property.key.value)));
+                addValue(right, '', path.parent);
+            } else {
+                const name = right.id?.name ?? (right.type === 'Identifier' ? right.name : 'module.exports');
+                addExport('default', name);
+                addValue(right, name, path.parent);
+            }
+        }
+    });
+
+    analysis.imports.push(...collectCallImports(ast));
+    return analysis;
+}
@@ -0,0 +1,349 @@
+// src/analyzers/javascript-resolver.js
+import { createRequire } from 'module';
+import { dirname, extname, join, relative, resolve } from 'path';
+import fs from 'fs/promises';
+import FileIndex from '../file-index.js';
+
+// Resolves JavaScript and TypeScript imports to files: relative paths, tsconfig/jsconfig `paths` and
+// `baseUrl`, package.json `imports` (#internal specifiers) and workspace packages through their `exports`.
+// Whatever is left is a third-party package or a builtin and is returned as written. Config files are only
+// looked for inside the repository root, and what was read is kept on the file index of the run.
+
+const EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.d.ts'];
+// TypeScript sources imported under the name of their compiled output, as NodeNext resolution requires
+const SOURCE_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+// Build directories package entry points usually point into; their sources are looked up in src/
+const OUTPUT_DIR_PATTERN = /^(?:dist|build|lib|out|esm|cjs)\//;
+const TSCONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// JSON as tsconfig files allow it: with comments and trailing commas
+function stripJsonComments(text) {
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '"') {
+            const start = i;
+            for (i++; i < text.length && text[i] !== '"'; i++) {
+                if (text[i] === '\\') i++;
+            }
+            result += text.slice(start, i + 1);
+        } else if (text.startsWith('//', i)) {
+            while (i < text.length && text[i] !== '\n') i++;
+            result += '\n';
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else {
+            result += text[i];
+        }
+    }
+    return result.replace(/,(\s*[}\]])/g, '$1');
+}
+
+// null when the file is missing, outside the repository or not valid JSON
+function readJson(filePath, index) {
+    if (!index.contains(dirname(filePath))) return Promise.resolve(null);
+    return index.memo('json', filePath, () => fs.readFile(filePath, 'utf-8').then(text => {
+        try {
+            return JSON.parse(stripJsonComments(text));
+        } catch (error) {
+            return null;
+        }
+    }, () => null));
+}
+
+async function isFile(filePath) {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+// The path itself, with an extension added, under its TypeScript source name or as a directory index.
+// Only files of the scan are candidates, so resolving an import never touches the disk.
+async function findFile(target, knownFiles) {
+    const ext = extname(target);
+    const candidates = [
+        target,
+        ...(SOURCE_EXTENSIONS[ext] || []).map(sourceExt => target.slice(0, -ext.length) + sourceExt),
+        ...EXTENSIONS.map(candidateExt => target + candidateExt),
+        ...EXTENSIONS.map(candidateExt => join(target, `index${candidateExt}`))
+    ];
+    return candidates.find(candidate => knownFiles.has(candidate)) || null;
+}
+
+// A package entry point, or the source file it was built from when the build output is not in the repository
+async function findPackageFile(packageDir, target, knownFiles) {
+    const file = await findFile(resolve(packageDir, target), knownFiles);
+    if (file) return file;
+    const outputPath = relative(packageDir, resolve(packageDir, target));
+    if (!OUTPUT_DIR_PATTERN.test(outputPath)) return null;
+    const sourcePath = outputPath.replace(OUTPUT_DIR_PATTERN, 'src/').replace(/(\.d)?\.[cm]?[jt]sx?$/, '');
+    return findFile(resolve(packageDir, sourcePath), knownFiles);
+}
+
+// The nearest of `names` in a directory or above it, up to the repository root
+async function findUp(dir, names, index) {
+    for (let current = dir; index.contains(current); current = dirname(current)) {
+        for (const name of names) {
+            if (await isFile(join(current, name))) return join(current, name);
+        }
+        if (dirname(current) === current) break;
+    }
+    return null;
+}
+
+// `extends` names a path, or a package such as @tsconfig/node20; files outside the repository are not read
+function resolveExtends(base, dir) {
+    if (base.startsWith('.') || base.startsWith('/')) {
+        const target = resolve(dir, base);
+        return extname(target) === '.json' ? target : `${target}.json`;
+    }
+    const require = createRequire(join(dir, 'tsconfig.json'));
+    for (const candidate of [base, `${base}/tsconfig.json`]) {
+        try {
+            return require.resolve(candidate);
+        } catch (error) {
+            continue;
+        }
+    }
+    return null;
+}
+
+// `baseUrl` and `paths` after following `extends`. Paths are relative to `baseUrl`, or to the config file
+// that sets them when there is none.
+async function loadTsconfig(filePath, index, seen = new Set()) {
+    if (seen.has(filePath)) return {};
+    seen.add(filePath);
+    const config = await readJson(filePath, index);
+    if (!config) return {};
+
+    const dir = dirname(filePath);
+    let options = {};
+    for (const base of [].concat(config.extends || [])) {
+        const basePath = resolveExtends(base, dir);
+        if (basePath) options = { ...options, ...await loadTsconfig(basePath, index, seen) };
+    }
+    const { baseUrl, paths } = config.compilerOptions || {};
+    if (baseUrl !== undefined) options.baseUrl = resolve(dir, baseUrl);
+    if (paths) {
+        options.paths = paths;
+        options.pathsDir = dir;
+    }
+    return options;
+}
+
+function findTsconfig(dir, index) {
+    return index.memo('tsconfig', dir, () => findUp(dir, TSCONFIG_FILES, index)
+        .then(filePath => (filePath ? loadTsconfig(filePath, index) : null)));
+}
+
+// The entry of a `paths`, `exports` or `imports` map matching a specifier: an exact key, or the
+// `*` pattern with the longest prefix, with the text the `*` stands for
+function matchPattern(map, specifier) {
+    if (Object.hasOwn(map, specifier)) return { value: map[specifier], capture: '', prefix: specifier };
+    let best = null;
+    for (const [pattern, value] of Object.entries(map)) {
+        const star = pattern.indexOf('*');
+        if (star === -1) continue;
+        const prefix = pattern.slice(0, star);
+        const suffix = pattern.slice(star + 1);
+        if (specifier.length >= prefix.length + suffix.length && specifier.startsWith(prefix) && specifier.endsWith(suffix)
+            && (!best || prefix.length > best.prefix.length)) {
+            best = { prefix, value, capture: specifier.slice(prefix.length, specifier.length - suffix.length) };
+        }
+    }
+    return best;
+}
+
+// Every target an export or import map entry can lead to, in condition order with `types` last,
+// since declarations are the least useful file to point at
+function collectTargets(value, capture) {
+    if (typeof value === 'string') return [value.replace(/\*/g, capture)];
+    if (Array.isArray(value)) return value.flatMap(item => collectTargets(item, capture));
+    if (value && typeof value === 'object') {
+        const conditions = Object.keys(value);
+        return [...conditions.filter(c => c !== 'types'), ...conditions.filter(c => c === 'types')]
+            .flatMap(condition => collectTargets(value[condition], capture));
+    }
+    return [];
+}
+
+function packageTargets(manifest, subpath) {
+    const { exports } = manifest;
+    if (exports === undefined || exports === null) {
+        return subpath === '.'
+            ? [manifest.source, manifest.module, manifest.main, './index'].filter(target => typeof target === 'string')
+            : [subpath];
+    }
+    // `"exports": "./index.js"` and condition-only objects describe the main entry point
+    const isSubpathMap = typeof exports === 'object' && !Array.isArray(exports) && Object.keys(exports).some(key => key.startsWith('.'));
+    const match = matchPattern(isSubpathMap ? exports : { '.': exports }, subpath);
+    return match ? collectTargets(match.value, match.capture) : [];
+}
+
+async function readManifest(dir, index) {
+    const manifest = await readJson(join(dir, 'package.json'), index);
+    return manifest && typeof manifest === 'object' ? manifest : null;
+}
+
+// Package directories below `root` matching workspace globs such as `packages/*` or `apps/**`
+async function expandWorkspaces(root, patterns) {
+    const dirs = new Set();
+    const walk = async (dir, segments) => {
+        if (segments.length === 0) {
+            dirs.add(dir);
+            return;
+        }
+        const [segment, ...rest] = segments;
+        if (!segment.includes('*')) {
+            await walk(join(dir, segment), rest);
+            return;
+        }
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        const matcher = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+            if (segment === '**') {
+                // `**` matches any number of directories, including none
+                await walk(join(dir, entry.name), segments);
+            } else if (matcher.test(entry.name)) {
+                await walk(join(dir, entry.name), rest);
+            }
+        }
+        if (segment === '**') await walk(dir, rest);
+    };
+
+    for (const pattern of patterns.filter(p => !p.startsWith('!'))) {
+        await walk(root, pattern.replace(/^\.\//, '').split('/').filter(Boolean));
+    }
+    const excluded = patterns.filter(p => p.startsWith('!')).map(p => resolve(root, p.slice(1)));
+    return [...dirs].filter(dir => !excluded.includes(dir));
+}
+
+// Workspace globs from package.json (npm, yarn, bun), pnpm-workspace.yaml and lerna.json
+async function readWorkspacePatterns(dir, manifest, index) {
+    const patterns = [].concat(manifest?.workspaces?.packages ?? manifest?.workspaces ?? []);
+    try {
+        const yaml = await fs.readFile(join(dir, 'pnpm-workspace.yaml'), 'utf-8');
+        const list = yaml.match(/^packages:\s*\n((?:[ \t]*(?:-.*|#.*)?\n?)*)/m)?.[1] || '';
+        patterns.push(...[...list.matchAll(/^[ \t]*-[ \t]*['"]?([^'"#\n]+?)['"]?[ \t]*(?:#.*)?$/gm)].map(match => match[1]));
+    } catch (error) {
+        // Not a pnpm workspace
+    }
+    const lerna = await readJson(join(dir, 'lerna.json'), index);
+    patterns.push(...(lerna?.packages || []));
+    return patterns.filter(pattern => typeof pattern === 'string');
+}
+
+// The packages that can be imported by name from a directory: every package of the enclosing workspace,
+// or just the nearest package.json outside of one, as { name: { dir, manifest } }
+function findWorkspacePackages(dir, index) {
+    return index.memo('workspace', dir, async () => {
+        let nearest = null;
+        for (let current = dir; index.contains(current); current = dirname(current)) {
+            const manifest = await readManifest(current, index);
+            if (manifest && !nearest) nearest = { dir: current, manifest };
+            const patterns = await readWorkspacePatterns(current, manifest, index);
+            if (patterns.length > 0) {
+                const packageDirs = [current, ...await expandWorkspaces(current, patterns)];
+                const packages = {};
+                for (const packageDir of packageDirs) {
+                    const packageManifest = await readManifest(packageDir, index);
+                    if (packageManifest?.name && !packages[packageManifest.name]) {
+                        packages[packageManifest.name] = { dir: packageDir, manifest: packageManifest };
+                    }
+                }
+                return packages;
+            }
+            if (dirname(current) === current) break;
+        }
+        return nearest?.manifest.name ? { [nearest.manifest.name]: nearest } : {};
+    });
+}
+
+// The nearest package.json declaring `imports`, for #internal specifiers
+function findImportsManifest(dir, index) {
+    return index.memo('imports', dir, async () => {
+        for (let current = dir; index.contains(current); current = dirname(current)) {
+            const manifest = await readManifest(current, index);
+            if (manifest) return manifest.imports ? { dir: current, manifest } : null;
+            if (dirname(current) === current) break;
+        }
+        return null;
+    });
+}
+
+function splitPackageName(specifier) {
+    const parts = specifier.split('/');
+    const length = specifier.startsWith('@') ? 2 : 1;
+    return { name: parts.slice(0, length).join('/'), subpath: ['.', ...parts.slice(length)].join('/') };
+}
+
+async function resolveWorkspaceImport(fromDir, specifier, knownFiles) {
+    const { name, subpath } = splitPackageName(specifier);
+    const workspacePackage = (await findWorkspacePackages(fromDir, knownFiles))[name];
+    if (!workspacePackage) return null;
+
+    const targets = packageTargets(workspacePackage.manifest, subpath).filter(target => target.startsWith('.'));
+    for (const target of targets) {
+        const file = await findPackageFile(workspacePackage.dir, target, knownFiles);
+        if (file) return file;
+    }
+    return resolve(workspacePackage.dir, targets[0] ?? subpath);
+}
+
+async function resolvePackageImport(fromDir, specifier, knownFiles) {
+    const scope = await findImportsManifest(fromDir, knownFiles);
+    const match = scope && matchPattern(scope.manifest.imports, specifier);
+    if (!match) return specifier;
+
+    const targets = collectTargets(match.value, match.capture);
+    for (const target of targets) {
+        // `#dep` may also stand for another package
+        const file = target.startsWith('.')
+            ? await findPackageFile(scope.dir, target, knownFiles)
+            : await resolveWorkspaceImport(fromDir, target, knownFiles);
+        if (file) return file;
+    }
+    return targets[0]?.startsWith('.') ? resolve(scope.dir, targets[0]) : (targets[0] ?? specifier);
+}
+
+export async function resolveJavaScriptImport(fromPath, specifier, knownFiles) {
+    const index = FileIndex.from(knownFiles);
+    const fromDir = dirname(fromPath);
+    if (specifier.startsWith('.')) {
+        const target = resolve(fromDir, specifier);
+        return (await findFile(target, index)) || target;
+    }
+    if (specifier.startsWith('#')) {
+        return resolvePackageImport(fromDir, specifier, index);
+    }
+
+    const tsconfig = await findTsconfig(fromDir, index);
+    const alias = tsconfig?.paths && matchPattern(tsconfig.paths, specifier);
+    if (alias) {
+        const base = tsconfig.baseUrl ?? tsconfig.pathsDir;
+        const targets = collectTargets(alias.value, alias.capture).map(target => resolve(base, target));
+        for (const target of targets) {
+            const file = await findFile(target, index);
+            if (file) return file;
+        }
+        // A catch-all `*` mapping also covers packages from node_modules, which are not local
+        if (alias.prefix && targets.length > 0) return targets[0];
+    }
+
+    const workspaceFile = await resolveWorkspaceImport(fromDir, specifier, index);
+    if (workspaceFile) return workspaceFile;
+
+    if (tsconfig?.baseUrl) {
+        const file = await findFile(resolve(tsconfig.baseUrl, specifier), index);
+        if (file) return file;
+    }
+    return specifier;
+}
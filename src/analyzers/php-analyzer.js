@@ -0,0 +1,339 @@
+// src/analyzers/php-analyzer.js
+import { dirname, join, resolve, sep } from 'path';
+import fs from 'fs/promises';
+import {
+    createLineLocator,
+    findClosingBracket,
+    findTopLevel,
+    maskSource,
+    normalizeWhitespace,
+    splitTopLevel,
+    toLoc
+} from './source-masking.js';
+import FileIndex from '../file-index.js';
+
+const PHP_SYNTAX = {
+    lineComments: ['//', '#'],
+    blockComment: ['/*', '*/'],
+    quotes: {
+        '"': { escapes: true, multiline: true },
+        "'": { escapes: true, multiline: true }
+    }
+};
+
+const MODIFIERS = new Set(['abstract', 'final', 'readonly', 'public', 'protected', 'private', 'static', 'var']);
+const VISIBILITIES = ['public', 'protected', 'private'];
+
+const WORD_PATTERN = /[A-Za-z_\\][\w\\]*/y;
+const TYPE_PATTERN = /(class|interface|trait|enum)\s+([A-Za-z_]\w*)/y;
+const FUNCTION_PATTERN = /function\s+&?\s*([A-Za-z_]\w*)\s*\(/y;
+const REQUIRE_PATTERN = /^(?:require|include)(?:_once)?\s*\(?\s*(?:(?:__DIR__|dirname\(__FILE__\))\s*\.\s*)?(['"])([^'"]+)\1/;
+const HEREDOC_PATTERN = /<<<\s*(['"]?)([A-Za-z_]\w*)\1/g;
+
+function matchAt(pattern, text, offset) {
+    pattern.lastIndex = offset;
+    return pattern.exec(text);
+}
+
+// Inline HTML outside <?php ... ?> and heredoc bodies are blanked before masking
+function blankNonCode(content) {
+    let result = '';
+    let position = 0;
+    while (position < content.length) {
+        const open = content.indexOf('<?', position);
+        const codeStart = open === -1 ? content.length : open;
+        result += content.slice(position, codeStart).replace(/[^\n]/g, ' ');
+        if (open === -1) break;
+        const close = content.indexOf('?>', codeStart);
+        const codeEnd = close === -1 ? content.length : close + 2;
+        result += content.slice(codeStart, codeEnd);
+        position = codeEnd;
+    }
+
+    let heredocs = [];
+    return result.split('\n').map(line => {
+        if (heredocs.length > 0) {
+            if (line.trim().replace(/[;,)].*$/, '') === heredocs[0]) heredocs.shift();
+            return ' '.repeat(line.length);
+        }
+        heredocs = [...line.matchAll(HEREDOC_PATTERN)].map(match => match[2]);
+        return line;
+    }).join('\n');
+}
+
+// Expands grouped use statements: `use A\{B, C as D}`
+function expandUse(clause, prefix = '') {
+    const text = clause.trim();
+    const brace = text.indexOf('{');
+    if (brace !== -1 && text.endsWith('}')) {
+        const base = prefix + text.slice(0, brace).replace(/\\$/, '');
+        return splitTopLevel(text.slice(brace + 1, -1)).flatMap(part => expandUse(part, `${base}\\`));
+    }
+    const [name, alias] = text.split(/\s+as\s+/i);
+    const source = (prefix + name.trim()).replace(/^\\/, '');
+    return [{ source, specifiers: [alias?.trim() || source.split('\\').pop()] }];
+}
+
+export function analyzePhp(content) {
+    const code = blankNonCode(content);
+    const masked = maskSource(code, PHP_SYNTAX);
+    const lineAt = createLineLocator(content);
+    const analysis = {
+        language: 'php',
+        namespace: null,
+        imports: [],
+        exports: [],
+        functions: [],
+        classes: [],
+        interfaces: [],
+        content
+    };
+
+    const skipWhitespace = position => {
+        while (position < masked.length && /\s/.test(masked[position])) position++;
+        return position;
+    };
+
+    // Attributes (#[...]) are masked as comments, so only modifiers precede a declaration
+    const readModifiers = position => {
+        const modifiers = [];
+        const start = skipWhitespace(position);
+        position = start;
+        while (true) {
+            const word = matchAt(WORD_PATTERN, masked, position);
+            if (!word || !MODIFIERS.has(word[0].toLowerCase())) break;
+            modifiers.push(word[0].toLowerCase());
+            position = skipWhitespace(position + word[0].length);
+        }
+        return { modifiers, position, start };
+    };
+
+    const visibilityOf = modifiers => VISIBILITIES.find(v => modifiers.includes(v)) || 'public';
+
+    const parseFunction = (prefix, match) => {
+        const open = prefix.position + match[0].length - 1;
+        const close = findClosingBracket(masked, open);
+        const stop = findTopLevel(masked, close + 1, ';{');
+        const end = stop !== -1 && masked[stop] === '{' ? findClosingBracket(masked, stop) : (stop === -1 ? masked.length - 1 : stop);
+        const returns = normalizeWhitespace(content.slice(close + 1, stop === -1 ? end : stop)).match(/^:\s*(.+)$/);
+        return {
+            end,
+            hasBody: masked[stop] === '{',
+            details: {
+                name: match[1],
+                params: splitTopLevel(content.slice(open + 1, close), masked.slice(open + 1, close)),
+                returns: returns ? returns[1] : undefined,
+                loc: toLoc(lineAt(prefix.start), lineAt(end))
+            }
+        };
+    };
+
+    const parseMembers = (start, end, owner) => {
+        let position = start;
+        while (position < end) {
+            const prefix = readModifiers(position);
+            position = prefix.position;
+            if (position >= end) break;
+
+            const functionMatch = matchAt(FUNCTION_PATTERN, masked, position);
+            if (functionMatch) {
+                const { end: functionEnd, hasBody, details } = parseFunction(prefix, functionMatch);
+                owner.methods.push({
+                    ...details,
+                    kind: details.name === '__construct' ? 'constructor' : 'method',
+                    visibility: visibilityOf(prefix.modifiers),
+                    static: prefix.modifiers.includes('static'),
+                    abstract: prefix.modifiers.includes('abstract') || (owner.kind === 'interface' && !hasBody) || undefined
+                });
+                position = functionEnd + 1;
+                continue;
+            }
+
+            const stop = findTopLevel(masked, position, ';{');
+            if (stop === -1 || stop >= end) break;
+            const statement = normalizeWhitespace(content.slice(position, stop));
+            const keyword = statement.match(/^(use|const|case)\b\s*(.*)$/i);
+            if (keyword?.[1].toLowerCase() === 'use') {
+                owner.traits.push(...splitTopLevel(keyword[2]));
+            } else if (keyword?.[1].toLowerCase() === 'case') {
+                owner.variants.push(keyword[2].split('=')[0].trim());
+            } else if (keyword?.[1].toLowerCase() === 'const') {
+                owner.constants.push(keyword[2].split('=')[0].trim().split(/\s+/).pop());
+            } else if (prefix.modifiers.length > 0) {
+                // Property declarations: `private ?Type $name = default, $other;`
+                for (const declarator of splitTopLevel(content.slice(position, stop), masked.slice(position, stop))) {
+                    const property = declarator.match(/^(?:(.*?)\s+)?\$(\w+)/);
+                    if (property) {
+                        owner.fields.push({
+                            name: property[2],
+                            type: property[1] || undefined,
+                            visibility: visibilityOf(prefix.modifiers),
+                            static: prefix.modifiers.includes('static')
+                        });
+                    }
+                }
+            }
+            // Trait adaptation blocks (`use A { ... }`) and anything else with a body are skipped whole
+            position = (masked[stop] === '{' ? findClosingBracket(masked, stop) : stop) + 1;
+        }
+    };
+
+    const parseType = (prefix, match) => {
+        const [header, kind, name] = match;
+        const open = findTopLevel(masked, prefix.position + header.length, '{');
+        const close = open === -1 ? masked.length - 1 : findClosingBracket(masked, open);
+        const signature = normalizeWhitespace(masked.slice(prefix.position + header.length, open === -1 ? close : open));
+        const clause = keyword => {
+            const clauseMatch = signature.match(new RegExp(`\\b${keyword}\\s+(.+?)(?=\\s+(?:extends|implements)\\b|$)`, 'i'));
+            return clauseMatch ? splitTopLevel(clauseMatch[1]) : [];
+        };
+        const info = {
+            name,
+            kind,
+            abstract: prefix.modifiers.includes('abstract') || undefined,
+            final: prefix.modifiers.includes('final') || undefined,
+            backedBy: kind === 'enum' ? signature.match(/^:\s*(\w+)/)?.[1] : undefined,
+            methods: [],
+            fields: [],
+            constants: [],
+            traits: [],
+            variants: [],
+            loc: toLoc(lineAt(prefix.start), lineAt(close))
+        };
+        if (open !== -1) {
+            parseMembers(open + 1, close, info);
+        }
+
+        const { methods, fields, traits, variants, constants, ...rest } = info;
+        if (kind === 'interface') {
+            analysis.interfaces.push({
+                ...rest,
+                extends: clause('extends'),
+                properties: methods.map(method => ({
+                    name: method.name,
+                    type: `function(${method.params.join(', ')})${method.returns ? `: ${method.returns}` : ''}`
+                }))
+            });
+        } else {
+            analysis.classes.push({
+                ...rest,
+                superClass: clause('extends')[0],
+                implements: clause('implements'),
+                traits: traits.length > 0 ? traits : undefined,
+                variants: kind === 'enum' ? variants : undefined,
+                constants: constants.length > 0 ? constants : undefined,
+                fields,
+                methods
+            });
+        }
+        analysis.exports.push({ type: 'named', name });
+        return close;
+    };
+
+    let position = 0;
+    while (position < masked.length) {
+        const prefix = readModifiers(position);
+        position = prefix.position;
+        if (position >= masked.length) break;
+
+        // Closing brace of a braced namespace block, and the <?php ?> tags themselves
+        if (masked[position] === '}') {
+            position++;
+            continue;
+        }
+        if (masked.startsWith('<?', position) || masked.startsWith('?>', position)) {
+            position += masked.startsWith('<?php', position) ? 5 : 2;
+            continue;
+        }
+
+        const typeMatch = matchAt(TYPE_PATTERN, masked, position);
+        const functionMatch = !typeMatch && matchAt(FUNCTION_PATTERN, masked, position);
+        if (typeMatch) {
+            position = parseType(prefix, typeMatch) + 1;
+            continue;
+        }
+        if (functionMatch) {
+            const { end, details } = parseFunction(prefix, functionMatch);
+            analysis.functions.push({ ...details, async: false, generator: false });
+            analysis.exports.push({ type: 'named', name: details.name });
+            position = end + 1;
+            continue;
+        }
+
+        // Grouped use statements contain braces, they end at the semicolon
+        const isUse = /^use\b/i.test(masked.slice(position, position + 4));
+        const stop = findTopLevel(masked, position, isUse ? ';' : ';{');
+        if (stop === -1) break;
+        const statement = normalizeWhitespace(masked.slice(position, stop));
+        const original = normalizeWhitespace(content.slice(position, stop));
+
+        if (/^namespace\b/i.test(statement)) {
+            analysis.namespace = statement.replace(/^namespace\s*/i, '') || null;
+            // A braced namespace keeps its declarations inside the block
+            position = stop + 1;
+            continue;
+        }
+
+        const useMatch = statement.match(/^use\s+(?:(function|const)\s+)?([\s\S]+)$/i);
+        const requireMatch = original.match(REQUIRE_PATTERN);
+        if (useMatch) {
+            for (const imp of expandUse(useMatch[2])) {
+                analysis.imports.push({ ...imp, kind: useMatch[1]?.toLowerCase() });
+            }
+        } else if (requireMatch) {
+            analysis.imports.push({
+                source: requireMatch[2].replace(/^\//, './'),
+                specifiers: [],
+                kind: 'require'
+            });
+        }
+
+        position = (masked[stop] === '{' ? findClosingBracket(masked, stop) : stop) + 1;
+    }
+
+    return analysis;
+}
+
+// PSR-4 prefixes of the nearest composer.json above a directory and inside the repository, longest prefix first
+function findComposer(dir, index) {
+    if (!index.contains(dir)) return null;
+    return index.memo('composer.json', dir, async () => {
+        let composer;
+        try {
+            composer = JSON.parse(await fs.readFile(join(dir, 'composer.json'), 'utf-8'));
+        } catch (error) {
+            const parent = dirname(dir);
+            return parent === dir ? null : findComposer(parent, index);
+        }
+        const prefixes = [composer.autoload, composer['autoload-dev']]
+            .flatMap(autoload => Object.entries(autoload?.['psr-4'] || {}))
+            .map(([prefix, dirs]) => ({ prefix, dirs: [].concat(dirs) }))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        return { root: dir, prefixes };
+    });
+}
+
+// Class imports are mapped to files through the PSR-4 prefixes in composer.json;
+// require and include statements are resolved like paths
+export async function resolvePhpImport(fromPath, imp, knownFiles) {
+    const index = FileIndex.from(knownFiles);
+    if (imp.kind === 'require') {
+        return resolve(dirname(fromPath), imp.source);
+    }
+    if (imp.kind === 'function' || imp.kind === 'const') {
+        return imp.source;
+    }
+
+    const composer = await findComposer(dirname(fromPath), index);
+    for (const { prefix, dirs } of composer?.prefixes || []) {
+        if (!imp.source.startsWith(prefix)) continue;
+        const relativePath = `${imp.source.slice(prefix.length).split('\\').join(sep)}.php`;
+        const candidates = dirs.map(dir => join(composer.root, dir, relativePath));
+        return candidates.find(candidate => index.has(candidate)) || candidates[0];
+    }
+
+    // Without a matching prefix, a file named after the namespace path is the best guess
+    const suffix = sep + `${imp.source.split('\\').join(sep)}.php`;
+    const [match] = index.withSuffix(suffix).sort((a, b) => a.length - b.length);
+    return match || imp.source;
+}
@@ -0,0 +1,332 @@
+// src/analyzers/python-analyzer.js
+import { dirname, join, sep } from 'path';
+import FileIndex from '../file-index.js';
+import { maskSource, normalizeWhitespace, splitTopLevel } from './source-masking.js';
+
+// Python has no parser we can load from Node, so this works line by line on the
+// indentation structure, skipping string literals and comments.
+
+const DEF_PATTERN = /^(\s*)(async\s+)?def\s+([A-Za-z_]\w*)\s*\(/;
+const CLASS_PATTERN = /^(\s*)class\s+([A-Za-z_]\w*)\s*(\(|:)/;
+const DECORATOR_PATTERN = /^(\s*)@(.+?)\s*$/;
+const IMPORT_PATTERN = /^import\s+(.+)$/;
+const FROM_IMPORT_PATTERN = /^from\s+(\.*[\w.]*)\s+import\s+(.+)$/;
+const ALL_PATTERN = /^__all__\s*(?::[^=]+)?=\s*[[(]([\s\S]*?)[\])]/m;
+
+function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+const PYTHON_SYNTAX = {
+    lineComments: ['#'],
+    quotes: {
+        '"""': { multiline: true },
+        "'''": { multiline: true },
+        '"': {},
+        "'": {}
+    }
+};
+
+// Masks comments and string contents (see source-masking.js) and returns the masked lines. Lines that start
+// inside a multi-line string are blanked entirely so their indentation does not end the enclosing block.
+function maskLines(content) {
+    const literals = [];
+    const maskedLines = maskSource(content, PYTHON_SYNTAX, literals).split('\n');
+    const stringLines = new Set();
+    let line = 0;
+    let offset = 0;
+    for (const { start, end } of literals) {
+        for (let i = content.indexOf('\n', offset); i !== -1 && i < end; i = content.indexOf('\n', i + 1)) {
+            line++;
+            offset = i + 1;
+            if (i >= start) stringLines.add(line);
+        }
+    }
+    return maskedLines.map((text, index) => (stringLines.has(index) ? ' '.repeat(text.length) : text));
+}
+
+// A statement spanning several lines (open brackets or trailing backslash), as original and masked
+// text. Masking keeps every character in place, so offsets found in one apply to the other.
+function readStatement(lines, maskedLines, start) {
+    let depth = 0;
+    let line = start;
+    for (; line < maskedLines.length; line++) {
+        for (const char of maskedLines[line]) {
+            if ('([{'.includes(char)) depth++;
+            if (')]}'.includes(char)) depth--;
+        }
+        if (depth <= 0 && !/\\\s*$/.test(maskedLines[line])) break;
+    }
+    return {
+        original: lines.slice(start, line + 1).join('\n'),
+        masked: maskedLines.slice(start, line + 1).join('\n'),
+        endLine: Math.min(line, lines.length - 1)
+    };
+}
+
+// Parameters between the first opening parenthesis and its match, and the text after it
+function extractParams(statement) {
+    const { original, masked } = statement;
+    const open = masked.indexOf('(');
+    let depth = 0;
+    for (let i = open; i < masked.length; i++) {
+        if (masked[i] === '(') depth++;
+        if (masked[i] === ')') depth--;
+        if (depth === 0) {
+            return {
+                params: splitTopLevel(original.slice(open + 1, i), masked.slice(open + 1, i)),
+                rest: normalizeWhitespace(original.slice(i + 1))
+            };
+        }
+    }
+    return { params: [], rest: '' };
+}
+
+function readDocstring(lines, maskedLines, start) {
+    for (let line = start; line < lines.length; line++) {
+        if (maskedLines[line].trim() === '') continue;
+        const match = lines[line].match(/^\s*[rRuU]?("""|'''|"|')/);
+        if (!match) return null;
+        const quote = match[1];
+        const text = lines.slice(line).join('\n');
+        const begin = text.indexOf(quote) + quote.length;
+        const end = text.indexOf(quote, begin);
+        if (end === -1) return null;
+        return text.slice(begin, end).replace(/^\s+|\s+$/g, '').replace(/\n[ \t]+/g, '\n');
+    }
+    return null;
+}
+
+// A block ends before the first non-blank line indented at or above its own level
+function findBlockEnd(maskedLines, start, indent) {
+    let end = start;
+    for (let line = start + 1; line < maskedLines.length; line++) {
+        if (maskedLines[line].trim() === '') continue;
+        if (indentOf(maskedLines[line]) <= indent) break;
+        end = line;
+    }
+    return end;
+}
+
+function toLoc(start, end) {
+    return {
+        start: { line: start + 1 },
+        end: { line: end + 1 }
+    };
+}
+
+function parseImports(statement) {
+    const fromMatch = statement.match(FROM_IMPORT_PATTERN);
+    if (fromMatch) {
+        const names = splitTopLevel(fromMatch[2].replace(/[()]/g, '')).map(name => name.split(/\s+as\s+/));
+        return [{
+            source: fromMatch[1],
+            specifiers: names.map(parts => parts[parts.length - 1].trim()),
+            // Names as written in the module, which may be submodules rather than attributes
+            imported: names.map(parts => parts[0].trim())
+        }];
+    }
+
+    const importMatch = statement.match(IMPORT_PATTERN);
+    if (importMatch) {
+        return splitTopLevel(importMatch[1]).map(part => {
+            const [module, alias] = part.split(/\s+as\s+/);
+            return {
+                source: module.trim(),
+                specifiers: [(alias || module).trim()]
+            };
+        });
+    }
+
+    return [];
+}
+
+export function analyzePython(content) {
+    const lines = content.split('\n');
+    const maskedLines = maskLines(content);
+
+    const analysis = {
+        language: 'python',
+        imports: [],
+        exports: [],
+        functions: [],
+        classes: [],
+        docstring: readDocstring(lines, maskedLines, 0),
+        content
+    };
+
+    let decorators = [];
+    let decoratorStart = 0;
+    let currentClass = null;
+
+    for (let line = 0; line < maskedLines.length; line++) {
+        const masked = maskedLines[line];
+        if (masked.trim() === '') continue;
+        const indent = indentOf(masked);
+
+        if (currentClass && indent <= currentClass.indent) {
+            currentClass = null;
+        }
+
+        const decoratorMatch = masked.match(DECORATOR_PATTERN);
+        if (decoratorMatch) {
+            const statement = readStatement(lines, maskedLines, line);
+            if (decorators.length === 0) decoratorStart = line;
+            decorators.push(normalizeWhitespace(statement.original)
+                .slice(1)
+                .replace(/([([{])\s+/g, '$1')
+                .replace(/,?\s+([)\]}])/g, '$1'));
+            line = statement.endLine;
+            continue;
+        }
+        const start = decorators.length > 0 ? decoratorStart : line;
+
+        const defMatch = masked.match(DEF_PATTERN);
+        if (defMatch) {
+            const statement = readStatement(lines, maskedLines, line);
+            const { params, rest } = extractParams(statement);
+            const returns = rest.match(/^->\s*(.+?)\s*:/);
+            const end = findBlockEnd(maskedLines, statement.endLine, indent);
+            const details = {
+                name: defMatch[3],
+                params,
+                async: Boolean(defMatch[2]),
+                decorators,
+                returns: returns ? returns[1] : undefined,
+                docstring: readDocstring(lines, maskedLines, statement.endLine + 1),
+                loc: toLoc(start, end)
+            };
+
+            if (indent === 0) {
+                analysis.functions.push({ ...details, generator: false });
+            } else if (currentClass && indent === currentClass.bodyIndent) {
+                currentClass.info.methods.push({
+                    ...details,
+                    kind: details.name === '__init__' ? 'constructor' : 'method',
+                    static: decorators.includes('staticmethod') || decorators.includes('classmethod')
+                });
+            }
+            decorators = [];
+            line = statement.endLine;
+            continue;
+        }
+
+        const classMatch = masked.match(CLASS_PATTERN);
+        if (classMatch) {
+            const statement = readStatement(lines, maskedLines, line);
+            const bases = classMatch[3] === '(' ? extractParams(statement).params : [];
+            const end = findBlockEnd(maskedLines, statement.endLine, indent);
+            const info = {
+                name: classMatch[2],
+                superClass: bases.find(base => !base.includes('=')),
+                bases,
+                decorators,
+                methods: [],
+                docstring: readDocstring(lines, maskedLines, statement.endLine + 1),
+                loc: toLoc(start, end)
+            };
+            if (indent === 0) {
+                analysis.classes.push(info);
+                // The first statement inside the class decides the indentation of its methods
+                const bodyLine = maskedLines.findIndex((text, index) => index > statement.endLine && text.trim() !== '');
+                currentClass = {
+                    info,
+                    indent,
+                    bodyIndent: bodyLine === -1 ? indent + 4 : indentOf(maskedLines[bodyLine])
+                };
+            }
+            decorators = [];
+            line = statement.endLine;
+            continue;
+        }
+
+        decorators = [];
+        if (/^\s*(import|from)\s/.test(masked)) {
+            const statement = readStatement(lines, maskedLines, line);
+            analysis.imports.push(...parseImports(normalizeWhitespace(statement.original)));
+            line = statement.endLine;
+        }
+    }
+
+    // __all__ defines the public API when present, otherwise every public top-level name does
+    const allMatch = content.match(ALL_PATTERN);
+    const publicNames = allMatch
+        ? [...allMatch[1].matchAll(/['"]([^'"]+)['"]/g)].map(match => match[1])
+        : [...analysis.functions, ...analysis.classes].map(item => item.name).filter(name => !name.startsWith('_'));
+    analysis.exports = publicNames.map(name => ({ type: 'named', name }));
+
+    return analysis;
+}
+
+// Candidate files for a dotted module path below a directory
+function moduleCandidates(baseDir, modulePath) {
+    const parts = modulePath ? modulePath.split('.') : [];
+    const target = join(baseDir, ...parts);
+    return parts.length > 0
+        ? [`${target}.py`, join(target, '__init__.py')]
+        : [join(baseDir, '__init__.py')];
+}
+
+function findModule(candidates, knownFiles) {
+    return candidates.find(candidate => knownFiles.has(candidate));
+}
+
+// Directories absolute imports are resolved from, as on sys.path: the repository root and the directory of every
+// project in it (one with a setup.py, setup.cfg or pyproject.toml), each with its src/ layout directory
+const PROJECT_FILES = ['setup.py', 'setup.cfg', 'pyproject.toml'];
+
+function sourceRoots(index) {
+    return index.memo('python-source-roots', '', () => {
+        const projects = new Set(index.root ? [index.root] : []);
+        for (const name of PROJECT_FILES) {
+            for (const file of index.withSuffix(sep + name)) {
+                projects.add(dirname(file));
+            }
+        }
+        return [...projects].flatMap(dir => [dir, join(dir, 'src')]);
+    });
+}
+
+// Absolute imports resolve below the directory of the importing script, which Python puts first on sys.path
+// (files of a package are not scripts), or below a source root, the shortest match first. A file elsewhere
+// that merely ends in the module name, such as a json.py next to unrelated code, is not `import json`.
+function findAbsoluteModule(modulePath, fromPath, index) {
+    const fromDir = dirname(fromPath);
+    const local = !index.has(join(fromDir, '__init__.py')) && findModule(moduleCandidates(fromDir, modulePath), index);
+    if (local) return local;
+    return sourceRoots(index)
+        .map(root => findModule(moduleCandidates(root, modulePath), index))
+        .filter(Boolean)
+        .sort((a, b) => a.length - b.length)[0];
+}
+
+// Resolves an import to analyzed files. `from package import module` resolves to the
+// submodules it names; anything else resolves to the module itself.
+export function resolvePythonImport(fromPath, imp, knownFiles) {
+    const level = imp.source.match(/^\.*/)[0].length;
+    const modulePath = imp.source.slice(level);
+    const submodulePath = name => (modulePath ? `${modulePath}.${name}` : name);
+
+    const index = FileIndex.from(knownFiles);
+    let find = path => findAbsoluteModule(path, fromPath, index);
+    let fallback = imp.source;
+    if (level > 0) {
+        let baseDir = dirname(fromPath);
+        for (let i = 1; i < level; i++) {
+            baseDir = dirname(baseDir);
+        }
+        find = path => findModule(moduleCandidates(baseDir, path), knownFiles);
+        fallback = moduleCandidates(baseDir, modulePath || imp.imported?.[0])[0];
+    }
+
+    const submodules = (imp.imported || [])
+        .filter(name => name !== '*')
+        .map(name => find(submodulePath(name)))
+        .filter(Boolean);
+    if (submodules.length > 0 && submodules.length === imp.imported.length) {
+        return submodules;
+    }
+
+    const module = find(modulePath);
+    return [...submodules, module || fallback];
+}
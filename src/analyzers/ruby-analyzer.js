@@ -0,0 +1,200 @@
+// src/analyzers/ruby-analyzer.js
+import { basename, dirname, extname, resolve, sep } from 'path';
+import { maskSource, splitTopLevel, toLoc } from './source-masking.js';
+import FileIndex from '../file-index.js';
+
+const RUBY_SYNTAX = {
+    lineComments: ['#'],
+    quotes: {
+        '"': { escapes: true, multiline: true },
+        "'": { escapes: true, multiline: true }
+    }
+};
+
+const HEREDOC_PATTERN = /<<[~-]?(['"`]?)([A-Z_a-z]\w*)\1/g;
+const BLOCK_START_PATTERN = /^\s*(?:(?:private|protected|public|module_function)\s+(?=def\b))?(class|module|def|if|unless|while|until|case|begin|for)\b/;
+const ASSIGNED_BLOCK_PATTERN = /(?:=|\|\||&&|\()\s*(if|unless|while|until|case|begin)\b/g;
+const DO_PATTERN = /\bdo\b/g;
+const END_PATTERN = /(^|[^.\w:])end\b(?![:?!])/g;
+const CLASS_PATTERN = /^\s*(class|module)\s+([A-Z][\w:]*)(?:\s*<\s*([\w:.]+))?/;
+const SINGLETON_CLASS_PATTERN = /^\s*class\s*<<\s*self\b/;
+const DEF_PATTERN = /^\s*(?:(private|protected|public|module_function)\s+)?def\s+(self\.)?([\w]+[?!=]?|\[\]=?|[^\s(;]+)\s*(\(([^)]*)\)?|[^=;\n]*)?/;
+const ENDLESS_DEF_PATTERN = /^\s*(?:\w+\s+)?def\s+(?:self\.)?(?:\w+[?!]?|[^\s(\w]+)(?:\s*\([^)]*\)\s*|\s+)=(?![=~>])/;
+const VISIBILITY_PATTERN = /^\s*(private|protected|public|module_function)\s*(?:\(?\s*(:\w+[?!=]?(?:\s*,\s*:\w+[?!=]?)*)\s*\)?)?\s*$/;
+const MIXIN_PATTERN = /^\s*(include|extend|prepend)\s+([\w:]+(?:\s*,\s*[\w:]+)*)/;
+const REQUIRE_PATTERN = /^\s*(require|require_relative|load|autoload)\b\s*\(?\s*(?::\w+\s*,\s*)?(['"])([^'"]+)\2/;
+
+// Heredoc bodies and =begin/=end comments are blanked before masking, their
+// contents could otherwise open strings or blocks that never close
+function blankBlocks(content) {
+    const lines = content.split('\n');
+    let heredocs = [];
+    let inComment = false;
+    return lines.map(line => {
+        if (inComment) {
+            if (/^=end\b/.test(line)) inComment = false;
+            return ' '.repeat(line.length);
+        }
+        if (/^=begin\b/.test(line)) {
+            inComment = true;
+            return ' '.repeat(line.length);
+        }
+        if (heredocs.length > 0) {
+            if (line.trim() === heredocs[0]) heredocs.shift();
+            return ' '.repeat(line.length);
+        }
+        heredocs = [...line.matchAll(HEREDOC_PATTERN)].map(match => match[2]);
+        return line;
+    }).join('\n');
+}
+
+// How many blocks a line opens and closes. Modifier forms (`return if x`) open nothing;
+// a `do` after while/until/for belongs to the loop.
+function countBlocks(masked) {
+    let opens = 0;
+    const start = masked.match(BLOCK_START_PATTERN);
+    if (start && !ENDLESS_DEF_PATTERN.test(masked)) opens++;
+    opens += [...masked.matchAll(ASSIGNED_BLOCK_PATTERN)].length;
+    const doCount = [...masked.matchAll(DO_PATTERN)].length;
+    opens += start && ['while', 'until', 'for'].includes(start[1]) ? Math.max(doCount - 1, 0) : doCount;
+    return { opens, closes: [...masked.matchAll(END_PATTERN)].length };
+}
+
+export function analyzeRuby(content) {
+    const lines = content.split('\n');
+    const maskedLines = maskSource(blankBlocks(content), RUBY_SYNTAX).split('\n');
+    const analysis = {
+        language: 'ruby',
+        imports: [],
+        exports: [],
+        functions: [],
+        classes: [],
+        content
+    };
+
+    // One entry per open block; class, module and def entries carry what they declare
+    const stack = [];
+    const enclosing = kinds => [...stack].reverse().find(block => kinds.includes(block.kind));
+    const namespace = () => stack.filter(block => block.kind === 'class' || block.kind === 'module').map(block => block.name);
+
+    for (let index = 0; index < lines.length; index++) {
+        const masked = maskedLines[index];
+        if (masked.trim() === '') continue;
+        const original = lines[index];
+        const owner = enclosing(['class', 'module', 'singleton']);
+        const inMethod = Boolean(enclosing(['def']));
+        let opened = null;
+
+        const requireMatch = masked.match(/^\s*(require|require_relative|load|autoload)\b/) && original.match(REQUIRE_PATTERN);
+        if (requireMatch) {
+            analysis.imports.push({
+                source: requireMatch[3],
+                specifiers: [],
+                relative: requireMatch[1] === 'require_relative' || undefined
+            });
+        }
+
+        const classMatch = !inMethod && masked.match(CLASS_PATTERN);
+        const defMatch = !inMethod && masked.match(DEF_PATTERN);
+        const visibilityMatch = owner && !inMethod && masked.match(VISIBILITY_PATTERN);
+        const mixinMatch = owner && !inMethod && masked.match(MIXIN_PATTERN);
+
+        if (SINGLETON_CLASS_PATTERN.test(masked) && !inMethod) {
+            opened = { kind: 'singleton', info: owner?.info, visibility: 'public' };
+        } else if (classMatch) {
+            const name = [...namespace(), classMatch[2]].join('::');
+            const info = {
+                name,
+                kind: classMatch[1],
+                superClass: classMatch[3],
+                mixins: [],
+                methods: [],
+                loc: toLoc(index + 1, index + 1)
+            };
+            analysis.classes.push(info);
+            if (stack.length === 0) {
+                analysis.exports.push({ type: 'named', name });
+            }
+            opened = { kind: classMatch[1], name: classMatch[2], info, visibility: 'public', privateNames: new Set() };
+        } else if (defMatch) {
+            const [, modifier, self, name, signature = '', parenthesized] = defMatch;
+            const params = parenthesized !== undefined ? parenthesized : signature;
+            const method = {
+                name,
+                params: splitTopLevel(params.trim().replace(/^\(|\)$/g, '')),
+                loc: toLoc(index + 1, index + 1)
+            };
+            if (owner) {
+                const moduleFunction = modifier === 'module_function' || owner.visibility === 'module_function';
+                const visibility = ['private', 'protected', 'public'].includes(modifier) ? modifier : owner.visibility;
+                Object.assign(method, {
+                    kind: name === 'initialize' ? 'constructor' : 'method',
+                    visibility: owner.privateNames?.has(name) ? 'private' : (visibility === 'module_function' ? 'public' : visibility),
+                    static: Boolean(self) || owner.kind === 'singleton' || moduleFunction
+                });
+                owner.info?.methods.push(method);
+            } else {
+                analysis.functions.push({ ...method, async: false, generator: false });
+            }
+            if (!ENDLESS_DEF_PATTERN.test(masked)) {
+                opened = { kind: 'def', info: method };
+            }
+        } else if (visibilityMatch) {
+            const [, visibility, names] = visibilityMatch;
+            if (names) {
+                // `private :a, :b` changes methods that are usually already defined
+                for (const name of names.split(',').map(n => n.trim().slice(1))) {
+                    const method = owner.info?.methods.find(m => m.name === name);
+                    if (method && visibility !== 'module_function') method.visibility = visibility;
+                    if (visibility === 'private') owner.privateNames?.add(name);
+                }
+            } else {
+                owner.visibility = visibility;
+            }
+        } else if (mixinMatch && owner.info) {
+            owner.info.mixins.push(...mixinMatch[2].split(',').map(name => name.trim()));
+        }
+
+        const { opens, closes } = countBlocks(masked);
+        for (let i = 0; i < opens; i++) {
+            stack.push(i === 0 && opened ? opened : { kind: 'block' });
+        }
+        for (let i = 0; i < closes && stack.length > 0; i++) {
+            const block = stack.pop();
+            if (block.info?.loc && block.kind !== 'singleton') {
+                block.info.loc = toLoc(block.info.loc.start.line, index + 1);
+            }
+        }
+    }
+
+    for (const info of analysis.classes) {
+        info.mixins = info.mixins.length > 0 ? info.mixins : undefined;
+    }
+
+    return analysis;
+}
+
+// Directories on the load path: lib/ (gems and most applications), and spec/ and test/, which RSpec and
+// Minitest add for their helpers
+const LOAD_PATH_DIRS = ['lib', 'spec', 'test'];
+
+// require_relative is resolved against the file; require and load against the repository root and its load path
+// directories, lib/ first. A file that merely ends in the required path, such as some/dir/json.rb for
+// `require 'json'`, is a library from outside the repository.
+export function resolveRubyImport(fromPath, imp, knownFiles) {
+    const withExtension = path => (extname(path) ? path : `${path}.rb`);
+    if (imp.relative || imp.source.startsWith('.')) {
+        return withExtension(resolve(dirname(fromPath), imp.source));
+    }
+
+    const index = FileIndex.from(knownFiles);
+    const suffix = sep + withExtension(imp.source).split('/').join(sep);
+    const onLoadPath = file => {
+        const dir = file.slice(0, -suffix.length);
+        return dir === index.root || LOAD_PATH_DIRS.includes(basename(dir));
+    };
+    const matches = index.withSuffix(suffix).filter(onLoadPath);
+    const inLib = matches.filter(file => file.endsWith(`${sep}lib${suffix}`));
+    const [match] = (inLib.length > 0 ? inLib : matches).sort((a, b) => a.length - b.length);
+    return match || imp.source;
+}
@@ -0,0 +1,463 @@
+// src/analyzers/rust-analyzer.js
+import { basename, dirname, join } from 'path';
+import {
+    createLineLocator,
+    findClosingBracket,
+    findTopLevel,
+    maskSource,
+    normalizeWhitespace,
+    splitTopLevel,
+    toLoc
+} from './source-masking.js';
+
+const RUST_SYNTAX = {
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    nestedComments: true,
+    quotes: {
+        '"': { escapes: true, multiline: true },
+        "'": { escapes: true }
+    },
+    rawStrings: true,
+    lifetimes: true
+};
+
+const ITEM_PATTERN = new RegExp(
+    '(?:(pub(?:\\s*\\([^)]*\\))?)\\s+)?' +
+    '((?:(?:const|async|unsafe|default|extern(?:\\s*"[^"]*")?)\\s+)*)' +
+    '(extern\\s+crate|fn|struct|enum|union|trait|impl|mod|use|type|const|static|macro_rules!)(?=[\\s<{(!]|$)',
+    'y'
+);
+const NAME_PATTERN = /\s*([A-Za-z_]\w*)/y;
+const SPLIT_OPTIONS = { angleBrackets: true };
+
+// Files whose child modules live next to them instead of in a directory named after them
+const MODULE_ROOT_FILES = ['lib.rs', 'main.rs', 'mod.rs'];
+
+function matchAt(pattern, text, offset) {
+    pattern.lastIndex = offset;
+    return pattern.exec(text);
+}
+
+function findClosingAngle(masked, index) {
+    let depth = 0;
+    for (let i = index; i < masked.length; i++) {
+        if (masked[i] === '<') depth++;
+        if (masked[i] === '>' && masked[i - 1] !== '-') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return masked.length - 1;
+}
+
+// Expands `a::{b, c::{d, self}}` into one path per imported name
+function expandUseTree(tree, prefix = []) {
+    const text = tree.trim();
+    const brace = text.indexOf('{');
+    if (brace !== -1 && text.endsWith('}')) {
+        const base = text.slice(0, brace).split('::').map(s => s.trim()).filter(Boolean);
+        return splitTopLevel(text.slice(brace + 1, -1)).flatMap(part => expandUseTree(part, [...prefix, ...base]));
+    }
+    const [path, alias] = text.split(/\s+as\s+/);
+    const segments = [...prefix, ...path.split('::').map(s => s.trim()).filter(Boolean)];
+    if (segments.length > 1 && segments[segments.length - 1] === 'self') segments.pop();
+    return [{ segments, alias: alias?.trim() }];
+}
+
+// `use` paths grouped by the module they import from, like Python's from-imports
+function parseUse(tree) {
+    const imports = [];
+    for (const { segments, alias } of expandUseTree(tree)) {
+        const name = segments[segments.length - 1];
+        if (segments.length === 1) {
+            imports.push({ source: name, specifiers: [alias || name] });
+            continue;
+        }
+        const source = segments.slice(0, -1).join('::');
+        let entry = imports.find(imp => imp.source === source && imp.imported);
+        if (!entry) {
+            entry = { source, specifiers: [], imported: [] };
+            imports.push(entry);
+        }
+        entry.specifiers.push(alias || name);
+        entry.imported.push(name);
+    }
+    return imports;
+}
+
+// The last path segment of a type, without references, generics or `dyn`
+function baseTypeName(type) {
+    return type
+        .replace(/^[&\s]*(?:'\w+\s+)?(?:mut\s+)?(?:dyn\s+)?/, '')
+        .replace(/<[\s\S]*$/, '')
+        .split('::')
+        .pop()
+        .trim();
+}
+
+export function analyzeRust(content) {
+    const masked = maskSource(content, RUST_SYNTAX);
+    const lineAt = createLineLocator(content);
+    const analysis = {
+        language: 'rust',
+        imports: [],
+        exports: [],
+        modules: [],
+        functions: [],
+        classes: [],
+        interfaces: [],
+        types: [],
+        impls: [],
+        content
+    };
+
+    const readName = position => {
+        const match = matchAt(NAME_PATTERN, masked, position);
+        return match ? { name: match[1], end: position + match[0].length } : null;
+    };
+
+    const readGenerics = position => {
+        while (/\s/.test(masked[position])) position++;
+        if (masked[position] !== '<') return { end: position };
+        const close = findClosingAngle(masked, position);
+        return { generics: normalizeWhitespace(content.slice(position, close + 1)), end: close + 1 };
+    };
+
+    const parseFunction = (position, terminator, qualifiers) => {
+        const nameMatch = readName(position);
+        if (!nameMatch) return {};
+        const { name, end } = nameMatch;
+        const { generics } = readGenerics(end);
+        const open = masked.indexOf('(', end);
+        const close = findClosingBracket(masked, open);
+        const signature = normalizeWhitespace(content.slice(close + 1, terminator));
+        const returns = signature.match(/^->\s*(.+?)(?:\s+where\s.*)?$/);
+        return {
+            name,
+            generics,
+            params: splitTopLevel(content.slice(open + 1, close), masked.slice(open + 1, close), SPLIT_OPTIONS),
+            returns: returns ? returns[1] : undefined,
+            async: /\basync\b/.test(qualifiers),
+            unsafe: /\bunsafe\b/.test(qualifiers) || undefined
+        };
+    };
+
+    const parseFields = (open, close) => {
+        const body = masked.slice(open + 1, close);
+        return splitTopLevel(content.slice(open + 1, close), body, SPLIT_OPTIONS)
+            .map((field, index) => {
+                const text = field.replace(/#\[[^\]]*\]\s*/g, '');
+                const named = text.match(/^(?:pub(?:\s*\([^)]*\))?\s+)?([A-Za-z_]\w*)\s*:\s*([\s\S]+)$/);
+                if (masked[open] === '(') {
+                    return { name: String(index), type: text.replace(/^pub(?:\s*\([^)]*\))?\s+/, '') };
+                }
+                return named ? { name: named[1], type: named[2] } : null;
+            })
+            .filter(Boolean);
+    };
+
+    // Parses the items between two offsets; `context` is 'module', 'impl' or 'trait'
+    const parseItems = (start, end, context) => {
+        const items = [];
+        let attributes = [];
+        let itemStart = null;
+        let position = start;
+
+        while (position < end) {
+            while (position < end && /\s/.test(masked[position])) position++;
+            if (position >= end) break;
+
+            if (masked[position] === '#') {
+                const open = masked.indexOf('[', position);
+                const close = findClosingBracket(masked, open);
+                // Inner attributes (#![...]) belong to the enclosing module
+                if (masked[position + 1] !== '!') {
+                    itemStart ??= position;
+                    attributes.push(normalizeWhitespace(content.slice(open + 1, close)));
+                }
+                position = close + 1;
+                continue;
+            }
+
+            const match = matchAt(ITEM_PATTERN, masked, position);
+            if (!match) {
+                // Statements, macro invocations and anything else that is not an item is skipped whole
+                const stop = findTopLevel(masked, position, ';{');
+                position = stop === -1 ? end : (masked[stop] === '{' ? findClosingBracket(masked, stop) : stop) + 1;
+                attributes = [];
+                itemStart = null;
+                continue;
+            }
+
+            const [header, visibility, qualifiers, keyword] = match;
+            const isPublic = visibility === 'pub' || context === 'trait';
+            const afterKeyword = position + header.length;
+            const declarations = ['fn', 'struct', 'enum', 'union', 'trait', 'impl', 'mod', 'macro_rules!'];
+            const terminator = findTopLevel(masked, afterKeyword, declarations.includes(keyword) ? ';{' : ';');
+            const stop = terminator === -1 ? end : terminator;
+            const bodyOpen = masked[stop] === '{' ? stop : -1;
+            const itemEnd = bodyOpen === -1 ? stop : findClosingBracket(masked, bodyOpen);
+            const loc = toLoc(lineAt(itemStart ?? position), lineAt(itemEnd));
+            const item = {
+                keyword,
+                isPublic,
+                attributes: attributes.filter(attribute => !attribute.startsWith('doc')),
+                loc
+            };
+
+            switch (keyword) {
+                case 'fn':
+                    Object.assign(item, parseFunction(afterKeyword, stop, qualifiers));
+                    break;
+                case 'struct':
+                case 'union':
+                case 'enum':
+                case 'trait': {
+                    const name = readName(afterKeyword);
+                    if (!name) break;
+                    const { generics, end: genericsEnd } = readGenerics(name.end);
+                    Object.assign(item, { name: name.name, generics });
+                    if (keyword === 'enum' && bodyOpen !== -1) {
+                        item.variants = splitTopLevel(masked.slice(bodyOpen + 1, itemEnd), undefined, SPLIT_OPTIONS)
+                            .map(variant => variant.replace(/#\[[^\]]*\]\s*/g, '').match(/^[A-Za-z_]\w*/)?.[0])
+                            .filter(Boolean);
+                    } else if (keyword === 'trait') {
+                        const bounds = normalizeWhitespace(masked.slice(genericsEnd, stop)).match(/^:\s*(.+?)(?:\s+where\s.*)?$/);
+                        item.supertraits = bounds ? splitTopLevel(bounds[1].replace(/\+/g, ',')) : [];
+                        item.members = bodyOpen === -1 ? [] : parseItems(bodyOpen + 1, itemEnd, 'trait');
+                    } else {
+                        const tuple = masked.indexOf('(', genericsEnd);
+                        const fieldsOpen = bodyOpen !== -1 ? bodyOpen : (tuple !== -1 && tuple < stop ? tuple : -1);
+                        item.fields = fieldsOpen === -1 ? [] : parseFields(fieldsOpen, findClosingBracket(masked, fieldsOpen));
+                    }
+                    break;
+                }
+                case 'impl': {
+                    const { generics, end: genericsEnd } = readGenerics(afterKeyword);
+                    const target = normalizeWhitespace(content.slice(genericsEnd, stop)).replace(/\s+where\s.*$/, '');
+                    const forMatch = target.match(/^(.+?)\s+for\s+(.+)$/);
+                    Object.assign(item, {
+                        generics,
+                        trait: forMatch ? forMatch[1] : undefined,
+                        type: baseTypeName(forMatch ? forMatch[2] : target),
+                        target: forMatch ? forMatch[2] : target,
+                        members: bodyOpen === -1 ? [] : parseItems(bodyOpen + 1, itemEnd, 'impl')
+                    });
+                    break;
+                }
+                case 'mod':
+                    item.name = readName(afterKeyword)?.name;
+                    item.inline = bodyOpen !== -1;
+                    break;
+                case 'use':
+                    item.imports = parseUse(normalizeWhitespace(masked.slice(afterKeyword, stop)));
+                    break;
+                case 'extern crate': {
+                    const [crate, alias] = normalizeWhitespace(masked.slice(afterKeyword, stop)).split(/\s+as\s+/);
+                    item.imports = [{ source: crate, specifiers: [alias || crate] }];
+                    break;
+                }
+                case 'type': {
+                    const name = readName(afterKeyword);
+                    item.name = name?.name;
+                    item.type = normalizeWhitespace(content.slice(name ? name.end : afterKeyword, stop)).replace(/^(?:<.*?>\s*)?(?::[^=]*)?=?\s*/, '') || undefined;
+                    break;
+                }
+                case 'macro_rules!':
+                    item.name = readName(afterKeyword)?.name;
+                    item.isPublic = item.attributes.includes('macro_export');
+                    break;
+                default:
+                    item.name = normalizeWhitespace(masked.slice(afterKeyword, stop)).match(/^(?:mut\s+)?([A-Za-z_]\w*)/)?.[1];
+            }
+
+            // Items are only kept when they could be understood
+            if (item.name || ['impl', 'use', 'extern crate'].includes(keyword)) {
+                items.push(item);
+            }
+            attributes = [];
+            itemStart = null;
+            position = itemEnd + 1;
+        }
+        return items;
+    };
+
+    const toFunction = item => ({
+        name: item.name,
+        params: item.params,
+        generics: item.generics,
+        returns: item.returns,
+        async: item.async,
+        unsafe: item.unsafe,
+        attributes: item.attributes,
+        loc: item.loc
+    });
+
+    const toMethod = item => ({
+        ...toFunction(item),
+        kind: 'method',
+        // Associated functions without a self receiver are called on the type itself
+        static: !/^(&\s*('\w+\s+)?)?(mut\s+)?self\b/.test(item.params[0] || '')
+    });
+
+    const items = parseItems(0, masked.length, 'module');
+    const implItems = [];
+
+    for (const item of items) {
+        if (item.isPublic && item.name && !['impl', 'use', 'extern crate'].includes(item.keyword)) {
+            analysis.exports.push({ type: 'named', name: item.name });
+        }
+
+        switch (item.keyword) {
+            case 'fn':
+                analysis.functions.push({ ...toFunction(item), generator: false });
+                break;
+            case 'struct':
+            case 'union':
+            case 'enum':
+                analysis.classes.push({
+                    name: item.name,
+                    kind: item.keyword,
+                    generics: item.generics,
+                    fields: item.fields,
+                    variants: item.variants,
+                    attributes: item.attributes,
+                    implements: [],
+                    methods: [],
+                    loc: item.loc
+                });
+                break;
+            case 'trait':
+                analysis.interfaces.push({
+                    name: item.name,
+                    generics: item.generics,
+                    extends: item.supertraits,
+                    properties: item.members
+                        .filter(member => member.keyword === 'fn')
+                        .map(member => ({
+                            name: member.name,
+                            type: `fn(${member.params.join(', ')})${member.returns ? ` -> ${member.returns}` : ''}`
+                        })),
+                    attributes: item.attributes,
+                    loc: item.loc
+                });
+                break;
+            case 'impl':
+                implItems.push(item);
+                break;
+            case 'mod':
+                analysis.modules.push({ name: item.name, public: item.isPublic, inline: item.inline });
+                // `mod name;` pulls in the module's file, which makes it a dependency
+                if (!item.inline) {
+                    analysis.imports.push({ source: `self::${item.name}`, specifiers: [item.name] });
+                }
+                break;
+            case 'use':
+            case 'extern crate':
+                analysis.imports.push(...item.imports);
+                // `pub use` re-exports the imported names
+                if (item.isPublic) {
+                    item.imports
+                        .flatMap(imp => imp.specifiers)
+                        .filter(name => name !== '*')
+                        .forEach(name => analysis.exports.push({ type: 'named', name }));
+                }
+                break;
+            case 'type':
+                analysis.types.push({ name: item.name, generics: item.generics, type: item.type, loc: item.loc });
+                break;
+        }
+    }
+
+    // Impl blocks are shown on their type when it is declared in the same file
+    for (const item of implItems) {
+        const methods = item.members.filter(member => member.keyword === 'fn').map(toMethod);
+        const owner = analysis.classes.find(c => c.name === item.type);
+        if (owner) {
+            owner.methods.push(...methods);
+            if (item.trait) owner.implements.push(item.trait);
+        }
+        analysis.impls.push({
+            type: item.type,
+            target: item.target,
+            trait: item.trait,
+            generics: item.generics,
+            local: Boolean(owner),
+            methods,
+            loc: item.loc
+        });
+    }
+
+    return analysis;
+}
+
+// Directory holding the child modules of a module file
+function moduleDir(filePath) {
+    return MODULE_ROOT_FILES.includes(basename(filePath)) ? dirname(filePath) : filePath.replace(/\.rs$/, '');
+}
+
+// The file of a module path below a directory: `a/b.rs` or `a/b/mod.rs`
+function findModuleFile(dir, segments, knownFiles) {
+    if (segments.length === 0) {
+        return [`${dir}.rs`, join(dir, 'mod.rs'), join(dir, 'lib.rs'), join(dir, 'main.rs')]
+            .find(candidate => knownFiles.has(candidate));
+    }
+    const target = join(dir, ...segments);
+    return [`${target}.rs`, join(target, 'mod.rs')].find(candidate => knownFiles.has(candidate));
+}
+
+// The longest prefix of a path that names a module file; the rest are items inside it
+function findLongestModule(dir, segments, knownFiles) {
+    for (let length = segments.length; length >= 0; length--) {
+        const file = findModuleFile(dir, segments.slice(0, length), knownFiles);
+        if (file) return file;
+    }
+    return null;
+}
+
+// The closest lib.rs or main.rs above a file is taken as its crate root
+function findCrateDir(filePath, knownFiles) {
+    let dir = dirname(filePath);
+    while (true) {
+        if (knownFiles.has(join(dir, 'lib.rs')) || knownFiles.has(join(dir, 'main.rs'))) return dir;
+        const parent = dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+// Resolves `crate::`, `self::` and `super::` paths, and paths starting with a child module
+// of the current file, to files of the crate. Anything else is another crate.
+export function resolveRustImport(fromPath, imp, knownFiles) {
+    const segments = imp.source.split('::');
+    let dir = null;
+    let rest = segments;
+
+    if (segments[0] === 'crate') {
+        dir = findCrateDir(fromPath, knownFiles);
+        rest = segments.slice(1);
+    } else if (segments[0] === 'self' || segments[0] === 'super') {
+        dir = moduleDir(fromPath);
+        rest = segments[0] === 'self' ? segments.slice(1) : segments;
+        while (rest[0] === 'super') {
+            dir = dirname(dir);
+            rest = rest.slice(1);
+        }
+    } else if (findModuleFile(moduleDir(fromPath), segments.slice(0, 1), knownFiles)) {
+        dir = moduleDir(fromPath);
+    }
+
+    if (dir === null) return imp.source;
+
+    // `use module::{submodule, Item}` depends on the submodule files where they exist
+    const submodules = (imp.imported || [])
+        .filter(name => name !== '*')
+        .map(name => findModuleFile(dir, [...rest, name], knownFiles))
+        .filter(Boolean);
+    const resolved = submodules.length > 0 && submodules.length === imp.imported.length
+        ? submodules
+        : [...submodules, findLongestModule(dir, rest, knownFiles) || `${join(dir, ...rest)}.rs`];
+
+    return [...new Set(resolved)].filter(file => file !== fromPath);
+}
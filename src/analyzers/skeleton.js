@@ -0,0 +1,121 @@
+// src/analyzers/skeleton.js
+import traverse from '@babel/traverse';
+import { parseSource } from './babel-helpers.js';
+
+// A skeleton keeps a file's imports, signatures, declarations and doc comments, with function bodies elided.
+// JavaScript and TypeScript bodies come from the AST; other languages use the line ranges their analyzers report.
+
+const ELISION = '…';
+const BABEL_EXTENSIONS = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx'];
+const DEF_PATTERN = /^\s*(?:async\s+)?def\b/;
+const DOCSTRING_PATTERN = /^\s*[rRuUbB]?("""|'''|"|')/;
+
+function babelSkeleton(content, filePath) {
+    const ast = parseSource(content, filePath);
+    const bodies = [];
+    traverse.default(ast, {
+        // Expression-bodied arrows are kept whole; nested functions go with the body they are in
+        Function: path => {
+            const { body } = path.node;
+            if (body.type !== 'BlockStatement' || (body.body.length === 0 && !body.innerComments)) return;
+            bodies.push(body);
+            path.skip();
+        }
+    });
+
+    let result = '';
+    let position = 0;
+    for (const body of bodies.sort((a, b) => a.start - b.start)) {
+        result += `${content.slice(position, body.start)}{ ${ELISION} }`;
+        position = body.end;
+    }
+    return result + content.slice(position);
+}
+
+const indentOf = line => line.match(/^\s*/)[0];
+
+// Bodies as 0-based line ranges: the lines after the signature up to, not including, the closing line
+function braceBody(lines, start, end) {
+    for (let line = start; line < end; line++) {
+        if (/\{\s*$/.test(lines[line].replace(/\s*\/\/.*$/, ''))) {
+            return { first: line + 1, last: end - 1 };
+        }
+    }
+    return null;
+}
+
+function rubyBody(lines, start, end) {
+    return { first: start + 1, last: end - 1 };
+}
+
+// Python bodies run to the end of the block; the docstring stays
+function pythonBody(lines, start, end) {
+    let line = start;
+    while (line <= end && !DEF_PATTERN.test(lines[line])) line++;
+    while (line <= end && !/:\s*(#.*)?$/.test(lines[line])) line++;
+
+    let first = line + 1;
+    while (first <= end && lines[first].trim() === '') first++;
+    const docstring = first <= end && lines[first].match(DOCSTRING_PATTERN);
+    if (docstring) {
+        const quote = docstring[1];
+        const open = lines[first].indexOf(quote) + quote.length;
+        let close = first;
+        if (!lines[first].includes(quote, open)) {
+            close++;
+            while (close <= end && !lines[close].includes(quote)) close++;
+        }
+        first = close + 1;
+    }
+    return { first, last: end };
+}
+
+const BODY_FINDERS = {
+    py: pythonBody,
+    rb: rubyBody
+};
+
+// Methods are elided, the classes, traits and impl blocks around them are not
+function functionRanges(analysis) {
+    return [...new Set([
+        ...(analysis.functions || []),
+        ...(analysis.classes || []).flatMap(c => c.methods || []),
+        ...(analysis.impls || []).flatMap(i => i.methods || [])
+    ])]
+        .filter(declaration => declaration.loc)
+        .map(declaration => ({ start: declaration.loc.start.line - 1, end: declaration.loc.end.line - 1 }));
+}
+
+function lineSkeleton(content, extension, analysis) {
+    const lines = content.split('\n');
+    const findBody = BODY_FINDERS[extension] || braceBody;
+    const bodies = functionRanges(analysis)
+        .map(({ start, end }) => findBody(lines, start, Math.min(end, lines.length - 1)))
+        .filter(body => body && body.first <= body.last && lines.slice(body.first, body.last + 1).some(line => line.trim() !== ''))
+        .sort((a, b) => a.first - b.first || b.last - a.last);
+
+    const result = [];
+    let line = 0;
+    for (const body of bodies) {
+        // Bodies of nested functions were elided with the outer one
+        if (body.first < line) continue;
+        result.push(...lines.slice(line, body.first));
+        const firstCode = lines.slice(body.first, body.last + 1).find(text => text.trim() !== '');
+        result.push(`${indentOf(firstCode)}${ELISION}`);
+        line = body.last + 1;
+    }
+    result.push(...lines.slice(line));
+    return result.join('\n');
+}
+
+export function createSkeleton(content, filePath, analysis) {
+    const extension = filePath.split('.').pop().toLowerCase();
+    if (BABEL_EXTENSIONS.includes(extension)) {
+        try {
+            return babelSkeleton(content, filePath);
+        } catch (error) {
+            // Unparseable files fall back to the line ranges, like the brace languages
+        }
+    }
+    return lineSkeleton(content, extension, analysis);
+}
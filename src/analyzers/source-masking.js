@@ -0,0 +1,175 @@
+// src/analyzers/source-masking.js
+
+// Helpers for the brace-delimited languages that are analyzed without a real parser.
+// Masking blanks out comments and the contents of literals while keeping every
+// character offset in place, so positions found in the masked text apply to the original.
+
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+// syntax: {
+//   lineComments: ['//'],
+//   blockComment: ['/*', '*/'], nestedComments: false,
+//   quotes: { '"': { escapes: true, multiline: false } },
+//   rawStrings: false  (Rust r"..." and r#"..."#),
+//   lifetimes: false   (a lone ' starts a Rust lifetime, not a char literal)
+// }
+// `literals`, when given, receives the { start, end } offsets of every quoted literal, quotes included
+export function maskSource(content, syntax, literals = null) {
+    const { lineComments = [], blockComment, nestedComments = false, quotes = {}, rawStrings = false, lifetimes = false } = syntax;
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    let result = '';
+    let i = 0;
+
+    while (i < content.length) {
+        const lineComment = lineComments.find(marker => content.startsWith(marker, i));
+        if (lineComment) {
+            const end = content.indexOf('\n', i);
+            const stop = end === -1 ? content.length : end;
+            result += blank(content.slice(i, stop));
+            i = stop;
+            continue;
+        }
+
+        if (blockComment && content.startsWith(blockComment[0], i)) {
+            const [open, close] = blockComment;
+            let depth = 0;
+            let j = i;
+            while (j < content.length) {
+                if (content.startsWith(open, j)) {
+                    depth++;
+                    j += open.length;
+                } else if (content.startsWith(close, j)) {
+                    depth--;
+                    j += close.length;
+                    if (depth === 0 || !nestedComments) break;
+                } else {
+                    j++;
+                }
+            }
+            result += blank(content.slice(i, j));
+            i = j;
+            continue;
+        }
+
+        if (rawStrings) {
+            const raw = content.slice(i).match(/^b?r(#*)"/);
+            if (raw && !/\w/.test(content[i - 1] || '')) {
+                const terminator = `"${raw[1]}`;
+                const bodyStart = i + raw[0].length;
+                const end = content.indexOf(terminator, bodyStart);
+                const stop = end === -1 ? content.length : end;
+                result += raw[0] + blank(content.slice(bodyStart, stop)) + content.slice(stop, stop + terminator.length);
+                i = stop + terminator.length;
+                continue;
+            }
+        }
+
+        const char = content[i];
+        if (lifetimes && char === "'" && !/^'(\\.[^']*|[^'\\\n])'/.test(content.slice(i, i + 12))) {
+            result += char;
+            i++;
+            continue;
+        }
+
+        const quote = Object.keys(quotes)
+            .sort((a, b) => b.length - a.length)
+            .find(marker => content.startsWith(marker, i));
+        if (quote) {
+            const { escapes = true, multiline = false } = quotes[quote];
+            let j = i + quote.length;
+            while (j < content.length && !content.startsWith(quote, j)) {
+                if (escapes && content[j] === '\\') {
+                    j += 2;
+                    continue;
+                }
+                if (!multiline && content[j] === '\n') break;
+                j++;
+            }
+            const closed = content.startsWith(quote, j);
+            result += quote + blank(content.slice(i + quote.length, j)) + (closed ? quote : '');
+            literals?.push({ start: i, end: closed ? j + quote.length : j });
+            i = closed ? j + quote.length : j;
+            continue;
+        }
+
+        result += char;
+        i++;
+    }
+
+    return result;
+}
+
+// Index of the bracket closing the one at `index`, or the end of the text if it is never closed
+export function findClosingBracket(masked, index) {
+    let depth = 0;
+    for (let i = index; i < masked.length; i++) {
+        if (OPENING.includes(masked[i])) depth++;
+        if (CLOSING.includes(masked[i])) {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return masked.length - 1;
+}
+
+// First of `chars` found outside brackets, starting at `index`
+export function findTopLevel(masked, index, chars) {
+    let depth = 0;
+    for (let i = index; i < masked.length; i++) {
+        if (depth === 0 && chars.includes(masked[i])) return i;
+        if (OPENING.includes(masked[i])) depth++;
+        if (CLOSING.includes(masked[i])) depth--;
+        if (depth < 0) return -1;
+    }
+    return -1;
+}
+
+// Splits on commas outside brackets, using the masked text to find them. Angle brackets only
+// count for languages that write generics with them.
+export function splitTopLevel(original, masked = original, { angleBrackets = false } = {}) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const char = masked[i];
+        if ('([{'.includes(char) || (angleBrackets && char === '<')) depth++;
+        if (')]}'.includes(char) || (angleBrackets && char === '>' && !'-='.includes(masked[i - 1]))) depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(original.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(original.slice(start));
+    return parts.map(normalizeWhitespace).filter(Boolean);
+}
+
+// Line continuations (a backslash before the line break) count as whitespace too
+export function normalizeWhitespace(text) {
+    return text.replace(/\\\n/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Maps character offsets to 1-based line numbers
+export function createLineLocator(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    return offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    };
+}
+
+export function toLoc(startLine, endLine) {
+    return {
+        start: { line: startLine },
+        end: { line: endLine }
+    };
+}
@@ -0,0 +1,187 @@
+// src/analyzers/typescript-analyzer.js
+import { collectCallImports, describeClass, describeFunction, describeValue, keyName, parseSource, readDoc, sourceText, typeText } from './babel-helpers.js';
+
+// `(a: string, b?: number) => void`, the shape shared by method and call signatures
+function signatureText(node, content) {
+    const params = (node.params ?? node.parameters ?? []).map(param => sourceText(param, content));
+    const returns = typeText(node.returnType ?? node.typeAnnotation, content);
+    return `${typeText(node.typeParameters, content) || ''}(${params.join(', ')})${returns ? ` => ${returns}` : ''}`;
+}
+
+function describeInterfaceMember(member, content) {
+    switch (member.type) {
+        case 'TSPropertySignature':
+            return {
+                name: keyName(member, content),
+                type: typeText(member.typeAnnotation, content) || 'any',
+                optional: member.optional || undefined,
+                readonly: member.readonly || undefined
+            };
+        case 'TSMethodSignature':
+            return {
+                name: keyName(member, content),
+                type: signatureText(member, content),
+                optional: member.optional || undefined
+            };
+        case 'TSCallSignatureDeclaration':
+            return { name: '(call)', type: signatureText(member, content) };
+        case 'TSConstructSignatureDeclaration':
+            return { name: 'new', type: signatureText(member, content) };
+        case 'TSIndexSignature':
+            return {
+                name: `[${member.parameters.map(param => sourceText(param, content)).join(', ')}]`,
+                type: typeText(member.typeAnnotation, content),
+                readonly: member.readonly || undefined
+            };
+        default:
+            return null;
+    }
+}
+
+export function analyzeTypeScript(content, filePath) {
+    const ast = parseSource(content, filePath);
+
+    const analysis = {
+        language: 'typescript',
+        imports: [],
+        exports: [],
+        functions: [],
+        classes: [],
+        interfaces: [],
+        types: [],
+        modules: [],
+        content
+    };
+
+    // Declarations inside namespaces are named `Namespace.Name`
+    // `outer` is the export statement wrapping the declaration, if any
+    const declare = (node, prefix, outer) => {
+        const name = `${prefix}${node.id ? (node.id.name ?? node.id.value) : 'default'}`;
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'TSDeclareFunction':
+                analysis.functions.push(describeFunction(node, name, content, outer));
+                break;
+            case 'ClassDeclaration':
+                analysis.classes.push(describeClass(node, name, content, outer));
+                break;
+            case 'VariableDeclaration':
+                for (const declarator of node.declarations) {
+                    if (declarator.id.type !== 'Identifier') continue;
+                    const { functions, classes } = describeValue(declarator.init, `${prefix}${declarator.id.name}`, content, outer ?? node);
+                    analysis.functions.push(...functions);
+                    analysis.classes.push(...classes);
+                }
+                break;
+            case 'TSEnumDeclaration':
+                analysis.classes.push({
+                    name,
+                    kind: 'enum',
+                    const: node.const || undefined,
+                    declare: node.declare || undefined,
+                    variants: (node.members ?? node.body?.members ?? []).map(member => sourceText(member, content)),
+                    methods: [],
+                    ...readDoc(node, outer),
+                    loc: node.loc
+                });
+                break;
+            case 'TSInterfaceDeclaration':
+                analysis.interfaces.push({
+                    name,
+                    generics: typeText(node.typeParameters, content),
+                    extends: (node.extends || []).map(type => sourceText(type, content)),
+                    properties: node.body.body.map(member => describeInterfaceMember(member, content)).filter(Boolean),
+                    ...readDoc(node, outer),
+                    loc: node.loc
+                });
+                break;
+            case 'TSTypeAliasDeclaration':
+                analysis.types.push({
+                    name,
+                    generics: typeText(node.typeParameters, content),
+                    type: typeText(node.typeAnnotation, content),
+                    ...readDoc(node, outer),
+                    loc: node.loc
+                });
+                break;
+            case 'TSModuleDeclaration': {
+                // `namespace A.B {}` nests one declaration per segment
+                let body = node.body;
+                let fullName = name;
+                while (body?.type === 'TSModuleDeclaration') {
+                    fullName += `.${body.id.name}`;
+                    body = body.body;
+                }
+                analysis.modules.push({
+                    name: fullName,
+                    kind: node.kind || (node.id.type === 'StringLiteral' ? 'module' : 'namespace'),
+                    declare: node.declare || undefined,
+                    loc: node.loc
+                });
+                // Ambient modules and `declare global` augment other scopes, their contents keep their names
+                const ambient = node.id.type === 'StringLiteral' || node.kind === 'global' || node.global;
+                visit(body?.body || [], ambient ? prefix : `${fullName}.`, false);
+                break;
+            }
+        }
+    };
+
+    const visit = (statements, prefix, topLevel) => {
+        for (const node of statements) {
+            switch (node.type) {
+                case 'ImportDeclaration':
+                    analysis.imports.push({
+                        source: node.source.value,
+                        specifiers: node.specifiers.map(spec => spec.local?.name).filter(Boolean),
+                        typeOnly: node.importKind === 'type' || undefined
+                    });
+                    break;
+                case 'TSImportEqualsDeclaration':
+                    // import fs = require('fs')
+                    if (node.moduleReference.type === 'TSExternalModuleReference') {
+                        analysis.imports.push({ source: node.moduleReference.expression.value, specifiers: [node.id.name] });
+                    }
+                    break;
+                case 'ExportNamedDeclaration':
+                    if (node.source) {
+                        analysis.imports.push({
+                            source: node.source.value,
+                            specifiers: node.specifiers.map(spec => spec.local?.name ?? spec.local?.value ?? spec.exported.name)
+                        });
+                    }
+                    if (topLevel) {
+                        const declarations = node.declaration?.declarations || [];
+                        const names = node.declaration
+                            ? (node.declaration.id ? [node.declaration.id.name ?? node.declaration.id.value] : declarations.map(d => d.id.name ?? sourceText(d.id, content)))
+                            : node.specifiers.map(spec => spec.exported.name ?? spec.exported.value);
+                        // Overloads export the same name once
+                        names
+                            .filter(name => !analysis.exports.some(e => e.type === 'named' && e.name === name))
+                            .forEach(name => analysis.exports.push({ type: 'named', name }));
+                    }
+                    if (node.declaration) declare(node.declaration, prefix, node);
+                    break;
+                case 'ExportDefaultDeclaration':
+                    if (topLevel) {
+                        const { declaration } = node;
+                        analysis.exports.push({ type: 'default', name: declaration.id?.name ?? declaration.name ?? 'default' });
+                    }
+                    declare(node.declaration, prefix, node);
+                    break;
+                case 'ExportAllDeclaration':
+                    analysis.imports.push({ source: node.source.value, specifiers: [node.exported?.name ?? '*'] });
+                    break;
+                case 'TSExportAssignment':
+                    // export = Foo
+                    analysis.exports.push({ type: 'default', name: sourceText(node.expression, content) });
+                    break;
+                default:
+                    declare(node, prefix);
+            }
+        }
+    };
+
+    visit(ast.program.body, '', true);
+    analysis.imports.push(...collectCallImports(ast));
+    return analysis;
+}
@@ -1,18 +1,50 @@
 // src/code-analyzer.js
 import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
+import { basename, dirname, extname, isAbsolute } from 'path';
 import fs from 'fs';
 import { promises as fsPromises } from 'fs';
-import * as babelParser from '@babel/parser';
-import traverse from '@babel/traverse';
-import { parse as parseTypeScript } from '@typescript-eslint/parser';
 import progress from './progress-util.js';
+import FileIndex from './file-index.js';
+import { attachDocComments, COMMENT_SYNTAX, readHeaderComment } from './analyzers/doc-comments.js';
+import { analyzeJavaScript } from './analyzers/javascript-analyzer.js';
+import { analyzeTypeScript } from './analyzers/typescript-analyzer.js';
+import { resolveJavaScriptImport } from './analyzers/javascript-resolver.js';
+import { analyzePython, resolvePythonImport } from './analyzers/python-analyzer.js';
+import { analyzeGo, resolveGoImport } from './analyzers/go-analyzer.js';
+import { analyzeRust, resolveRustImport } from './analyzers/rust-analyzer.js';
+import { analyzeJava, resolveJavaImport } from './analyzers/java-analyzer.js';
+import { analyzeRuby, resolveRubyImport } from './analyzers/ruby-analyzer.js';
+import { analyzePhp, resolvePhpImport } from './analyzers/php-analyzer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Interpreters named on the shebang line of scripts without an extension, and the extension they are analyzed as
+const SHEBANG_EXTENSIONS = {
+    node: 'js',
+    python: 'py',
+    python3: 'py',
+    ruby: 'rb',
+    php: 'php',
+    sh: 'sh',
+    bash: 'sh',
+    zsh: 'sh'
+};
+
+function fileExtension(filePath, content) {
+    const ext = extname(basename(filePath));
+    if (ext || !content.startsWith('#!')) return ext.substring(1).toLowerCase();
+
+    // #!/usr/bin/python3 or #!/usr/bin/env -S node --flags
+    let [command, ...args] = content.split('\n', 1)[0].slice(2).trim().split(/\s+/);
+    if (basename(command) === 'env') command = args.find(arg => !arg.startsWith('-')) || '';
+    return SHEBANG_EXTENSIONS[basename(command)] || '';
+}
+
 class CodeAnalyzer {
-    constructor() {
+    constructor(options = {}) {
+        this.progress = options.progress || progress;
+        this.plugins = options.plugins || null;
         this.dependencies = new Map();
         this.exports = new Map();
         this.functionDetails = new Map();
@@ -21,20 +53,9 @@ class CodeAnalyzer {
     async analyzeFile(filePath) {
         try {
             const content = await fsPromises.readFile(filePath, 'utf-8');
-            const ext = filePath.split('.').pop()?.toLowerCase();
-            
-            switch (ext) {
-                case 'js':
-                case 'jsx':
-                    return this.analyzeJavaScript(content, filePath);
-                case 'ts':
-                case 'tsx':
-                    return this.analyzeTypeScript(content, filePath);
-                default:
-                    return this.analyzeGenericFile(content, filePath);
-            }
+            return await this.analyzeContent(filePath, content);
         } catch (error) {
-            progress.warn(`Could not read ${filePath}: ${error.message}`);
+            this.progress.warn(`Could not read ${filePath}: ${error.message}`, { file: filePath });
             return {
                 imports: [],
                 exports: [],
@@ -44,211 +65,96 @@ class CodeAnalyzer {
         }
     }
 
-    analyzeJavaScript(content, filePath) {
-        try {
-            const ast = babelParser.parse(content, {
-                sourceType: 'module',
-                plugins: ['jsx', 'typescript', 'decorators-legacy'],
-                tokens: true,
-                errorRecovery: true,
-            });
-
-            const analysis = {
-                imports: [],
-                exports: [],
-                functions: [],
-                classes: [],
-                content
-            };
+    // Analyzes content that is not (or not yet) on disk at `filePath`, such as an earlier revision of a file
+    async analyzeContent(filePath, content) {
+        const ext = fileExtension(filePath, content);
 
-            traverse.default(ast, {
-                ImportDeclaration: path => {
-                    try {
-                        analysis.imports.push({
-                            source: path.node.source.value,
-                            specifiers: path.node.specifiers.map(spec => spec.local.name)
-                        });
-                    } catch (e) {
-                        // Skip problematic import
-                    }
-                },
+        const pluginAnalyzer = this.plugins?.getAnalyzer(filePath);
+        if (pluginAnalyzer) {
+            const analysis = await this.analyzeWithPlugin(pluginAnalyzer, content, filePath);
+            if (analysis) return analysis;
+        }
 
-                ExportNamedDeclaration: path => {
-                    try {
-                        if (path.node.declaration) {
-                            if (path.node.declaration.declarations) {
-                                path.node.declaration.declarations.forEach(declaration => {
-                                    analysis.exports.push({
-                                        type: 'named',
-                                        name: declaration.id.name
-                                    });
-                                });
-                            } else if (path.node.declaration.id) {
-                                analysis.exports.push({
-                                    type: 'named',
-                                    name: path.node.declaration.id.name
-                                });
-                            }
-                        } else if (path.node.specifiers) {
-                            path.node.specifiers.forEach(specifier => {
-                                analysis.exports.push({
-                                    type: 'named',
-                                    name: specifier.exported.name
-                                });
-                            });
-                        }
-                    } catch (e) {
-                        // Skip problematic export
-                    }
-                },
+        return this.addDocumentation(this.analyzeSource(ext, content, filePath), content, ext);
+    }
 
-                ExportDefaultDeclaration: path => {
-                    try {
-                        let name = 'default';
-                        if (path.node.declaration.name) {
-                            name = path.node.declaration.name;
-                        } else if (path.node.declaration.id) {
-                            name = path.node.declaration.id.name;
-                        }
-                        analysis.exports.push({
-                            type: 'default',
-                            name
-                        });
-                    } catch (e) {
-                        // Skip problematic export
-                    }
-                },
+    analyzeSource(ext, content, filePath) {
+        switch (ext) {
+            case 'js':
+            case 'jsx':
+            case 'mjs':
+            case 'cjs':
+                return this.analyzeJavaScript(content, filePath);
+            case 'ts':
+            case 'tsx':
+                return this.analyzeTypeScript(content, filePath);
+            case 'py':
+                return analyzePython(content, filePath);
+            case 'go':
+                return analyzeGo(content, filePath);
+            case 'rs':
+                return analyzeRust(content, filePath);
+            case 'java':
+                return analyzeJava(content, filePath);
+            case 'rb':
+                return analyzeRuby(content, filePath);
+            case 'php':
+                return analyzePhp(content, filePath);
+            default:
+                return this.analyzeGenericFile(content, ext);
+        }
+    }
 
-                FunctionDeclaration: path => {
-                    try {
-                        analysis.functions.push({
-                            name: path.node.id.name,
-                            params: path.node.params.map(p => p.name || 'unnamed'),
-                            async: path.node.async,
-                            generator: path.node.generator,
-                            loc: path.node.loc
-                        });
-                    } catch (e) {
-                        // Skip problematic function
-                    }
-                },
+    // Doc comments above declarations, and the file's header comment as the description of the file
+    addDocumentation(analysis, content, ext) {
+        const syntax = COMMENT_SYNTAX[ext];
+        if (!syntax || analysis.type === 'generic') return analysis;
 
-                ClassDeclaration: path => {
-                    try {
-                        const classInfo = {
-                            name: path.node.id.name,
-                            superClass: path.node.superClass?.name,
-                            methods: path.node.body.body
-                                .filter(node => node.type === 'ClassMethod')
-                                .map(node => ({
-                                    name: node.key.name,
-                                    kind: node.kind,
-                                    static: node.static,
-                                    async: node.async,
-                                    params: node.params.map(p => p.name || 'unnamed')
-                                }))
-                        };
-                        analysis.classes.push(classInfo);
-                    } catch (e) {
-                        // Skip problematic class
-                    }
-                }
-            });
+        attachDocComments(analysis, content, syntax);
+        if (!analysis.docstring) {
+            const header = readHeaderComment(content, syntax);
+            if (header) analysis.docstring = header;
+        }
+        return analysis;
+    }
 
-            return analysis;
-        } catch (error) {
-            progress.warn(`Error parsing JavaScript ${filePath}: ${error.message}`);
+    // Plugin results are normalized like the built-in analyses; a failing plugin falls back to them
+    async analyzeWithPlugin(pluginAnalyzer, content, filePath) {
+        try {
+            const result = await pluginAnalyzer.analyze(content, filePath);
             return {
                 imports: [],
                 exports: [],
-                functions: [],
-                classes: [],
+                ...result,
+                analyzer: pluginAnalyzer.name,
                 content
             };
+        } catch (error) {
+            this.progress.warn(`Plugin analyzer "${pluginAnalyzer.name}" failed on ${filePath}: ${error.message}`, { file: filePath });
+            return null;
         }
     }
 
-    analyzeTypeScript(content, filePath) {
+    analyzeJavaScript(content, filePath) {
         try {
-            // First try parsing with babel parser as a fallback
-            const ast = babelParser.parse(content, {
-                sourceType: 'module',
-                plugins: ['typescript', 'jsx'],
-                tokens: true,
-                errorRecovery: true,
-            });
-
-            const analysis = {
+            return analyzeJavaScript(content, filePath);
+        } catch (error) {
+            this.progress.warn(`Error parsing JavaScript ${filePath}: ${error.message}`, { file: filePath });
+            return {
                 imports: [],
                 exports: [],
-                interfaces: [],
-                types: [],
+                functions: [],
+                classes: [],
                 content
             };
+        }
+    }
 
-            traverse.default(ast, {
-                ImportDeclaration: path => {
-                    try {
-                        analysis.imports.push({
-                            source: path.node.source.value,
-                            specifiers: path.node.specifiers.map(spec => spec.local.name)
-                        });
-                    } catch (e) {
-                        // Skip problematic import
-                    }
-                },
-
-                ExportNamedDeclaration: path => {
-                    try {
-                        if (path.node.declaration) {
-                            if (path.node.declaration.declarations) {
-                                path.node.declaration.declarations.forEach(declaration => {
-                                    analysis.exports.push({
-                                        type: 'named',
-                                        name: declaration.id.name
-                                    });
-                                });
-                            } else if (path.node.declaration.id) {
-                                analysis.exports.push({
-                                    type: 'named',
-                                    name: path.node.declaration.id.name
-                                });
-                            }
-                        }
-                    } catch (e) {
-                        // Skip problematic export
-                    }
-                },
-
-                TSInterfaceDeclaration: path => {
-                    try {
-                        analysis.interfaces.push({
-                            name: path.node.id.name,
-                            properties: path.node.body.body.map(prop => ({
-                                name: prop.key?.name || 'unknown',
-                                type: this.getTypeScriptType(prop.typeAnnotation) || 'any'
-                            }))
-                        });
-                    } catch (e) {
-                        // Skip problematic interface
-                    }
-                },
-
-                TSTypeAliasDeclaration: path => {
-                    try {
-                        analysis.types.push({
-                            name: path.node.id.name,
-                            type: this.getTypeScriptType(path.node.typeAnnotation) || 'any'
-                        });
-                    } catch (e) {
-                        // Skip problematic type
-                    }
-                }
-            });
-
-            return analysis;
+    analyzeTypeScript(content, filePath) {
+        try {
+            return analyzeTypeScript(content, filePath);
         } catch (error) {
-            progress.warn(`Error parsing TypeScript ${filePath}: ${error.message}`);
+            this.progress.warn(`Error parsing TypeScript ${filePath}: ${error.message}`, { file: filePath });
             return {
                 imports: [],
                 exports: [],
@@ -259,59 +165,45 @@ class CodeAnalyzer {
         }
     }
 
-    getTypeScriptType(typeAnnotation) {
-        if (!typeAnnotation) return 'any';
-        
-        const type = typeAnnotation.typeAnnotation;
-        if (!type) return 'any';
-
-        try {
-            switch (type.type) {
-                case 'TSStringKeyword':
-                    return 'string';
-                case 'TSNumberKeyword':
-                    return 'number';
-                case 'TSBooleanKeyword':
-                    return 'boolean';
-                case 'TSArrayType':
-                    return `${this.getTypeScriptType({ typeAnnotation: type.elementType })}[]`;
-                case 'TSTypeReference':
-                    return type.typeName.name;
-                default:
-                    return 'any';
-            }
-        } catch (e) {
-            return 'any';
-        }
-    }
-
-    analyzeGenericFile(content, filePath) {
+    analyzeGenericFile(content, ext) {
         return {
             type: 'generic',
-            extension: filePath.split('.').pop()?.toLowerCase() || '',
+            extension: ext,
             size: content.length,
             content
         };
     }
 
-    async buildDependencyGraph(analyses) {
+    // `root` is the repository root; config files such as tsconfig.json or go.mod are not looked for above it
+    async buildDependencyGraph(analyses, { root } = {}) {
         const graph = new Map();
         
+        const knownFiles = new FileIndex(analyses.keys(), { root });
+
         // First pass: set up initial graph structure
-        for (const [filePath, analysis] of analyses.entries()) {
+        for (const filePath of analyses.keys()) {
             graph.set(filePath, {
-                dependencies: analysis.imports?.map(imp => imp.source) || [],
+                dependencies: [],
+                internal: [],
+                external: [],
                 dependedOnBy: []
             });
         }
 
         // Second pass: resolve dependencies and build reverse dependencies
         for (const [filePath, node] of graph.entries()) {
+            const analysis = analyses.get(filePath);
             try {
-                const resolvedDeps = await Promise.all(
-                    node.dependencies.map(dep => this.resolveDependencyPath(filePath, dep))
+                const resolved = await Promise.all(
+                    (analysis.imports || []).map(imp => this.resolveImport(filePath, imp, analysis, knownFiles))
                 );
+                // One import can resolve to several files (e.g. `from . import a, b`)
+                const resolvedDeps = [...new Set(resolved.flat())];
                 node.dependencies = resolvedDeps;
+                // Files of the repository, and packages or builtins from outside it; absolute paths
+                // that are neither are local imports that did not resolve
+                node.internal = resolvedDeps.filter(dep => knownFiles.has(dep));
+                node.external = resolvedDeps.filter(dep => !isAbsolute(dep));
                 
                 // Build reverse dependencies
                 for (const dep of resolvedDeps) {
@@ -321,39 +213,41 @@ class CodeAnalyzer {
                     }
                 }
             } catch (e) {
-                progress.warn(`Error resolving dependencies for ${filePath}: ${e.message}`);
+                this.progress.warn(`Error resolving dependencies for ${filePath}: ${e.message}`, { file: filePath });
             }
         }
 
         return graph;
     }
 
-    async resolveDependencyPath(fromPath, importPath) {
-        if (importPath.startsWith('.')) {
-            const resolvedPath = resolve(dirname(fromPath), importPath);
-            // Try common extensions if not specified
-            const extensions = ['.js', '.jsx', '.ts', '.tsx'];
-            
-            // Try exact path first
-            try {
-                await fsPromises.access(resolvedPath);
-                return resolvedPath;
-            } catch (e) {
-                // Try with extensions
-                for (const ext of extensions) {
-                    try {
-                        await fsPromises.access(resolvedPath + ext);
-                        return resolvedPath + ext;
-                    } catch (e) {
-                        continue;
-                    }
-                }
-                // If no match found, return original resolved path
-                return resolvedPath;
-            }
+    async resolveImport(fromPath, imp, analysis, knownFiles) {
+        const pluginAnalyzer = analysis.analyzer && this.plugins?.analyzers.find(a => a.name === analysis.analyzer);
+        if (pluginAnalyzer?.resolveImport) {
+            return pluginAnalyzer.resolveImport(fromPath, imp, { analysis, knownFiles });
         }
-        return importPath;
+
+        switch (analysis.language) {
+            case 'python':
+                return resolvePythonImport(fromPath, imp, knownFiles);
+            case 'go':
+                return resolveGoImport(fromPath, imp, knownFiles);
+            case 'rust':
+                return resolveRustImport(fromPath, imp, knownFiles);
+            case 'java':
+                return resolveJavaImport(fromPath, imp, analysis, knownFiles);
+            case 'ruby':
+                return resolveRubyImport(fromPath, imp, knownFiles);
+            case 'php':
+                return resolvePhpImport(fromPath, imp, knownFiles);
+            default:
+                return this.resolveDependencyPath(fromPath, imp.source, knownFiles);
+        }
+    }
+
+    // JavaScript and TypeScript: relative paths, tsconfig paths, package imports and workspace packages
+    async resolveDependencyPath(fromPath, importPath, knownFiles = new Set()) {
+        return resolveJavaScriptImport(fromPath, importPath, knownFiles);
     }
 }
 
-export default CodeAnalyzer;
\ No newline at end of file
+export default CodeAnalyzer;
@@ -0,0 +1,263 @@
+// src/config-loader.js
+import { dirname, isAbsolute, join, resolve } from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import { CHARS_PER_TOKEN } from './token-util.js';
+
+// Config files looked up in the current directory and in the analyzed repository root
+export const CONFIG_FILES = ['.github2claude.json', '.github2clauderc'];
+
+// How much of each file the markdown shows: the full source, a skeleton with function bodies elided, or the analysis alone
+export const DETAIL_LEVELS = ['full', 'skeleton', 'outline'];
+
+export const defaultConfig = {
+    tempDir: os.tmpdir(),
+    outputDir: '.',
+    markdownDir: 'claude-docs',
+    textFileExtensions: [
+        '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.md', '.txt', '.json',
+        '.yml', '.yaml', '.css', '.scss', '.html', '.vue',
+        '.py', '.rb', '.php', '.java', '.go', '.rs', '.sh',
+        '.c', '.h', '.cc', '.cpp', '.cxx', '.hpp', '.cs', '.kt', '.kts', '.swift', '.scala', '.m', '.mm',
+        '.lua', '.pl', '.pm', '.r', '.dart', '.ex', '.exs', '.erl', '.hs', '.clj', '.sql', '.proto', '.graphql',
+        '.toml', '.ini', '.cfg', '.xml', '.gradle', '.tf', '.cmake', '.mk', '.bash', '.zsh', '.ps1', '.bat',
+        '.svelte', '.less', '.sass'
+    ],
+    // Files without a documented extension that are still worth reading, matched like .gitignore patterns
+    textFileNames: [
+        'Dockerfile', 'Dockerfile.*', 'Containerfile', 'Makefile', 'GNUmakefile', 'Rakefile', 'Gemfile',
+        'Procfile', 'Jenkinsfile', 'Vagrantfile', 'Brewfile', 'Podfile', 'Justfile', 'Caddyfile', 'Tiltfile',
+        'BUILD', 'WORKSPACE', 'CODEOWNERS', '.editorconfig', '.gitattributes', '.dockerignore', '.babelrc',
+        '.eslintrc', '.prettierrc', '.nvmrc'
+    ],
+    excludePatterns: [
+        'node_modules', 'dist', 'build', 'coverage', '.git',
+        '*.min.js', '*.bundle.js', '*.test.js', '*.spec.js',
+        '**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml', '**/bun.lockb',
+        '**/Cargo.lock', '**/Gemfile.lock', '**/composer.lock', '**/poetry.lock',
+        '**/mix.lock', '**/paket.lock', '**/packages.lock.json',
+        '**/shrinkwrap.yaml', '**/flake.lock', '**/pnpm-workspace.yaml'
+    ],
+    useGitignore: true,
+    // Third-party code checked into the repository, left out and listed once per directory
+    vendorPatterns: ['vendor/', 'third_party/', 'third-party/', 'bower_components/', 'Pods/', 'Carthage/'],
+    // Leave out files marked as generated, ending in a source map comment or with minified lines
+    skipGenerated: true,
+    maxTokens: 30000,
+    singleFile: false,
+    format: 'markdown',
+    detail: 'full',
+    diagrams: 'mermaid',
+    cache: true,
+    cacheDir: '.g2c-cache',
+    redactSecrets: true,
+    // Files left out entirely when secrets are redacted, matched like .gitignore patterns
+    secretFilePatterns: [
+        '.env', '.env.*', '.envrc', '*.pem', '*.key', '*.p12', '*.pfx', '*.jks', '*.keystore',
+        'id_rsa', 'id_dsa', 'id_ecdsa', 'id_ed25519', '.netrc', '.pgpass'
+    ],
+    // Worker threads that parse files; more than eight rarely pays for the memory each one takes
+    jobs: Math.min(os.availableParallelism?.() ?? os.cpus().length, 8),
+};
+
+// How each option is validated (arrays list the allowed values); list options extend the defaults instead of
+// replacing them, and so do pattern maps such as `detailPaths`
+const schema = {
+    tempDir: 'string',
+    outputDir: 'string',
+    markdownDir: 'string',
+    textFileExtensions: 'string[]',
+    textFileNames: 'string[]',
+    excludePatterns: 'string[]',
+    useGitignore: 'boolean',
+    vendorPatterns: 'string[]',
+    skipGenerated: 'boolean',
+    maxTokens: 'positiveInteger',
+    singleFile: 'boolean',
+    bundleMaxTokens: 'positiveInteger',
+    format: ['markdown', 'json', 'xml'],
+    plugins: 'string[]',
+    detail: DETAIL_LEVELS,
+    detailPaths: 'detailMap',
+    diagrams: ['mermaid', 'dot', 'none'],
+    cache: 'boolean',
+    cacheDir: 'string',
+    jobs: 'positiveInteger',
+    redactSecrets: 'boolean',
+    secretFilePatterns: 'string[]',
+    maxFileSize: 'positiveInteger',
+    sectionsPerFile: 'positiveInteger',
+};
+
+// Options from before output files were sized in tokens: still accepted, with a warning. `maxFileSize` was a
+// size in characters and becomes the matching `maxTokens` unless that is set too; `sectionsPerFile` has no effect.
+const deprecatedOptions = {
+    maxFileSize: {
+        replacement: 'maxTokens',
+        convert: value => Math.ceil(value / CHARS_PER_TOKEN)
+    },
+    sectionsPerFile: {}
+};
+
+// A repository must not decide where files are written on the machine documenting it, which code runs
+// there, how many threads it gets, nor whether its secrets end up in the documentation
+const localOnlyOptions = ['tempDir', 'outputDir', 'markdownDir', 'plugins', 'cacheDir', 'jobs', 'redactSecrets', 'secretFilePatterns'];
+
+const validators = {
+    string: value => typeof value === 'string' && value.trim() !== '',
+    'string[]': value => Array.isArray(value) && value.every(item => typeof item === 'string' && item !== ''),
+    boolean: value => typeof value === 'boolean',
+    positiveInteger: value => Number.isInteger(value) && value > 0,
+    detailMap: value => isPlainObject(value)
+        && Object.entries(value).every(([pattern, level]) => pattern.trim() !== '' && DETAIL_LEVELS.includes(level)),
+};
+
+const typeDescriptions = {
+    string: 'a non-empty string',
+    'string[]': 'an array of non-empty strings',
+    boolean: 'true or false',
+    positiveInteger: 'a positive integer',
+    detailMap: `an object mapping path patterns to ${DETAIL_LEVELS.map(v => `"${v}"`).join(', ')}`,
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function validateConfig(options, origin, { allowLocalOnly = true } = {}) {
+    if (!isPlainObject(options)) {
+        throw new Error(`Invalid configuration in ${origin}: expected a JSON object`);
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(options)) {
+        const type = schema[key];
+        const valid = Array.isArray(type) ? type.includes(value) : validators[type]?.(value);
+        const expected = Array.isArray(type) ? `one of ${type.map(v => `"${v}"`).join(', ')}` : typeDescriptions[type];
+        if (!type) {
+            const supported = Object.keys(schema).filter(option => !(option in deprecatedOptions));
+            errors.push(`unknown option "${key}" (supported: ${supported.join(', ')})`);
+        } else if (!allowLocalOnly && localOnlyOptions.includes(key)) {
+            errors.push(`"${key}" can only be set in a config file in the current directory or via --config`);
+        } else if (!valid) {
+            const received = typeof value === 'number' ? String(value) : JSON.stringify(value);
+            errors.push(`"${key}" must be ${expected}, got ${received}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration in ${origin}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return options;
+}
+
+// Replaces deprecated options by their current equivalent, adding a warning for each one to `warnings`
+function replaceDeprecatedOptions(options, origin, warnings) {
+    const replaced = { ...options };
+    for (const [key, { replacement, convert }] of Object.entries(deprecatedOptions)) {
+        if (!(key in options)) continue;
+        delete replaced[key];
+        if (!replacement) {
+            warnings.push(`"${key}" in ${origin} is deprecated and has no effect; output files are sized by "maxTokens"`);
+        } else if (replacement in options) {
+            warnings.push(`"${key}" in ${origin} is deprecated and ignored because "${replacement}" is set`);
+        } else {
+            replaced[replacement] = convert(options[key]);
+            warnings.push(`"${key}" in ${origin} is deprecated; using "${replacement}": ${replaced[replacement]} instead`);
+        }
+    }
+    return replaced;
+}
+
+export function mergeConfig(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (Array.isArray(value)) {
+            merged[key] = [...new Set([...(base[key] || []), ...value])];
+        } else if (isPlainObject(value)) {
+            // Patterns set again move to the end, where they take precedence
+            const kept = Object.entries(base[key] || {}).filter(([pattern]) => !(pattern in value));
+            merged[key] = { ...Object.fromEntries(kept), ...value };
+        } else if (value !== undefined) {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+// Plugin paths are relative to the file that lists them; package names are left as they are
+function resolvePluginPaths(options, baseDir) {
+    if (!options.plugins) return options;
+    const plugins = options.plugins.map(plugin => (
+        plugin.startsWith('.') || isAbsolute(plugin) ? resolve(baseDir, plugin) : plugin
+    ));
+    return { ...options, plugins };
+}
+
+async function readConfigFile(filePath) {
+    let raw;
+    try {
+        raw = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+export async function findConfigFile(dir) {
+    for (const name of CONFIG_FILES) {
+        const filePath = join(dir, name);
+        const options = await readConfigFile(filePath);
+        if (options !== null) {
+            return { filePath, options };
+        }
+    }
+    return null;
+}
+
+// Defaults < config file in cwd < config file in the repository < --config file < CLI overrides.
+// Called once before cloning (without repoPath) and again once the repository is on disk.
+export async function loadConfig({ cwd = process.cwd(), repoPath, configPath, overrides = {} } = {}) {
+    let config = { ...defaultConfig };
+    const sources = [];
+    const warnings = [];
+    const validate = (options, origin, validateOptions) => replaceDeprecatedOptions(
+        validateConfig(options, origin, validateOptions),
+        origin,
+        warnings
+    );
+
+    const cwdConfig = await findConfigFile(cwd);
+    if (cwdConfig) {
+        const options = validate(cwdConfig.options, cwdConfig.filePath);
+        config = mergeConfig(config, resolvePluginPaths(options, dirname(cwdConfig.filePath)));
+        sources.push(cwdConfig.filePath);
+    }
+
+    const repoConfig = repoPath ? await findConfigFile(repoPath) : null;
+    if (repoConfig && !sources.includes(repoConfig.filePath)) {
+        const options = validate(repoConfig.options, repoConfig.filePath, { allowLocalOnly: false });
+        config = mergeConfig(config, options);
+        sources.push(repoConfig.filePath);
+    }
+
+    if (configPath) {
+        const filePath = resolve(cwd, configPath);
+        const options = await readConfigFile(filePath);
+        if (options === null) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+        config = mergeConfig(config, resolvePluginPaths(validate(options, filePath), dirname(filePath)));
+        sources.push(filePath);
+    }
+
+    config = mergeConfig(config, resolvePluginPaths(validate(overrides, 'command line options'), cwd));
+    return { config, sources, warnings };
+}
@@ -0,0 +1,193 @@
+// src/dependency-diagram.js
+import path from 'path';
+
+// Dependency diagrams drawn from the graph built by CodeAnalyzer.buildDependencyGraph, rendered as Mermaid or DOT.
+// Only dependencies between analyzed files are drawn; packages and unresolved imports are left out.
+
+// Beyond this diagrams stop rendering legibly (and Mermaid stops rendering at all)
+const MAX_NODES = 40;
+const MAX_EDGES = 80;
+const ROOT_LABEL = '(root)';
+
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function directoryOf(relativePath) {
+    const dir = path.posix.dirname(relativePath);
+    return dir === '.' ? '' : dir;
+}
+
+// The first `depth` segments of a directory, so deeper directories merge into their ancestor
+function truncate(dir, depth) {
+    return dir.split('/').slice(0, depth).join('/');
+}
+
+// Edges between analyzed files, as paths relative to the repository
+function fileEdges(dependencyGraph, basePath) {
+    const relativeTo = filePath => toPosixPath(path.relative(basePath, filePath));
+    const edges = [];
+    for (const [filePath, node] of dependencyGraph.entries()) {
+        const internal = node.internal || node.dependencies.filter(dep => dependencyGraph.has(dep));
+        for (const dependency of internal) {
+            edges.push({ from: relativeTo(filePath), to: relativeTo(dependency) });
+        }
+    }
+    return edges;
+}
+
+// Merges edges between the nodes `keyOf` maps files to, counting how many file edges each one stands for
+function aggregate(edges, keyOf) {
+    const weights = new Map();
+    for (const edge of edges) {
+        const from = keyOf(edge.from);
+        const to = keyOf(edge.to);
+        if (from === null || to === null || from === to) continue;
+        const key = JSON.stringify([from, to]);
+        weights.set(key, (weights.get(key) || 0) + 1);
+    }
+    return [...weights].map(([key, weight]) => {
+        const [from, to] = JSON.parse(key);
+        return { from, to, weight };
+    });
+}
+
+// Keeps the best connected nodes (`priority` ones first) and the heaviest edges between them
+function limit(diagram) {
+    const degree = new Map();
+    for (const edge of diagram.edges) {
+        degree.set(edge.from, (degree.get(edge.from) || 0) + edge.weight);
+        degree.set(edge.to, (degree.get(edge.to) || 0) + edge.weight);
+    }
+    const nodes = [...diagram.nodes]
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0) || (degree.get(b.key) || 0) - (degree.get(a.key) || 0))
+        .slice(0, MAX_NODES);
+    const kept = new Set(nodes.map(node => node.key));
+    const connecting = diagram.edges.filter(edge => kept.has(edge.from) && kept.has(edge.to));
+    const edges = [...connecting].sort((a, b) => b.weight - a.weight).slice(0, MAX_EDGES);
+
+    return {
+        ...diagram,
+        nodes: diagram.nodes.filter(node => kept.has(node.key)),
+        edges: connecting.filter(edge => edges.includes(edge)),
+        omittedNodes: diagram.nodes.length - nodes.length,
+        omittedEdges: diagram.edges.length - edges.length
+    };
+}
+
+// Directories and the dependencies between them. Directories are merged into their ancestors, deepest
+// levels first, until the diagram fits; directories sharing a top-level directory are clustered.
+export function createModuleDiagram(dependencyGraph, basePath) {
+    const files = [...dependencyGraph.keys()].map(filePath => toPosixPath(path.relative(basePath, filePath)));
+    const dirs = [...new Set(files.map(directoryOf))];
+    const maxDepth = Math.max(0, ...dirs.map(dir => (dir ? dir.split('/').length : 0)));
+    let depth = maxDepth;
+    while (depth > 1 && new Set(dirs.map(dir => truncate(dir, depth))).size > MAX_NODES) {
+        depth--;
+    }
+
+    const keyOf = file => truncate(directoryOf(file), depth);
+    const edges = aggregate(fileEdges(dependencyGraph, basePath), keyOf);
+    if (edges.length === 0) return null;
+
+    // Directories without dependencies either way are left out
+    const keys = [...new Set(edges.flatMap(edge => [edge.from, edge.to]))].sort();
+    const topLevel = key => key.split('/')[0];
+    const shared = keys.filter(key => key && keys.filter(other => other && topLevel(other) === topLevel(key)).length > 1);
+    return limit({
+        nodes: keys.map(key => ({
+            key,
+            label: key || ROOT_LABEL,
+            cluster: shared.includes(key) ? topLevel(key) : undefined
+        })),
+        edges,
+        merged: depth < maxDepth ? depth : undefined
+    });
+}
+
+// For each directory with dependencies, its files and their dependencies, on each other and to and from other
+// directories. Keyed by the directory relative to the repository; the graph's edges are walked once for all of them.
+export function createDirectoryDiagrams(dependencyGraph, basePath) {
+    const edgesByDirectory = new Map();
+    for (const edge of fileEdges(dependencyGraph, basePath)) {
+        for (const dir of new Set([directoryOf(edge.from), directoryOf(edge.to)])) {
+            if (!edgesByDirectory.has(dir)) edgesByDirectory.set(dir, []);
+            edgesByDirectory.get(dir).push(edge);
+        }
+    }
+
+    const diagrams = new Map();
+    for (const [dir, edges] of edgesByDirectory) {
+        // Other directories are drawn as one node each, keyed apart from the files
+        const keyOf = file => (directoryOf(file) === dir ? file : `dir:${directoryOf(file)}`);
+        const keys = [...new Set(edges.flatMap(edge => [keyOf(edge.from), keyOf(edge.to)]))]
+            .sort((a, b) => a.startsWith('dir:') - b.startsWith('dir:') || a.localeCompare(b));
+        diagrams.set(dir, limit({
+            nodes: keys.map(key => (key.startsWith('dir:')
+                ? { key, label: key.slice(4) || ROOT_LABEL, external: true }
+                : { key, label: path.posix.basename(key), priority: 1 })),
+            edges: aggregate(edges, keyOf)
+        }));
+    }
+    return diagrams;
+}
+
+function escapeMermaid(label) {
+    return label.replace(/"/g, '#quot;');
+}
+
+function escapeDot(label) {
+    return label.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function renderMermaid(diagram, ids) {
+    const node = item => (item.external ? `${ids.get(item.key)}(["${escapeMermaid(item.label)}"])` : `${ids.get(item.key)}["${escapeMermaid(item.label)}"]`);
+    const lines = ['graph LR'];
+    const clusters = [...new Set(diagram.nodes.map(item => item.cluster).filter(Boolean))];
+    clusters.forEach((cluster, index) => {
+        lines.push(`    subgraph c${index}["${escapeMermaid(cluster)}"]`);
+        diagram.nodes.filter(item => item.cluster === cluster).forEach(item => lines.push(`        ${node(item)}`));
+        lines.push('    end');
+    });
+    diagram.nodes.filter(item => !item.cluster).forEach(item => lines.push(`    ${node(item)}`));
+    for (const edge of diagram.edges) {
+        lines.push(`    ${ids.get(edge.from)} -->${edge.weight > 1 ? `|${edge.weight}|` : ''} ${ids.get(edge.to)}`);
+    }
+    return lines.join('\n');
+}
+
+function renderDot(diagram, ids) {
+    const node = item => `${ids.get(item.key)} [label="${escapeDot(item.label)}"${item.external ? ', style=dashed' : ''}];`;
+    const lines = ['digraph dependencies {', '    rankdir=LR;', '    node [shape=box];'];
+    const clusters = [...new Set(diagram.nodes.map(item => item.cluster).filter(Boolean))];
+    clusters.forEach((cluster, index) => {
+        lines.push(`    subgraph cluster_${index} {`, `        label="${escapeDot(cluster)}";`);
+        diagram.nodes.filter(item => item.cluster === cluster).forEach(item => lines.push(`        ${node(item)}`));
+        lines.push('    }');
+    });
+    diagram.nodes.filter(item => !item.cluster).forEach(item => lines.push(`    ${node(item)}`));
+    for (const edge of diagram.edges) {
+        lines.push(`    ${ids.get(edge.from)} -> ${ids.get(edge.to)}${edge.weight > 1 ? ` [label="${edge.weight}"]` : ''};`);
+    }
+    lines.push('}');
+    return lines.join('\n');
+}
+
+// A fenced code block, followed by a note on what was merged or left out to keep the diagram readable
+export function renderDiagram(diagram, format) {
+    const ids = new Map(diagram.nodes.map((item, index) => [item.key, `n${index}`]));
+    const code = format === 'dot' ? renderDot(diagram, ids) : renderMermaid(diagram, ids);
+
+    const notes = [];
+    if (diagram.merged) {
+        notes.push(`directories deeper than ${diagram.merged} level(s) are merged into their parent`);
+    }
+    if (diagram.omittedNodes > 0) {
+        notes.push(`${diagram.omittedNodes} less connected node(s) are not shown`);
+    }
+    if (diagram.omittedEdges > 0) {
+        notes.push(`${diagram.omittedEdges} dependency edge(s) are not shown`);
+    }
+    const note = notes.length > 0 ? `\nFor size, ${notes.join('; ')}.\n` : '';
+    return `\`\`\`${format === 'dot' ? 'dot' : 'mermaid'}\n${code}\n\`\`\`\n${note}`;
+}
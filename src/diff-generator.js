@@ -0,0 +1,217 @@
+// src/diff-generator.js
+import path from 'path';
+import MarkdownGenerator from './markdown-generator.js';
+import { estimateTokens } from './token-util.js';
+
+// Headroom kept in every document for section headings and wrapper tags
+const SECTION_OVERHEAD_TOKENS = 200;
+// Smallest piece a diff is cut into, however much of the budget the change details take
+const MIN_CHUNK_TOKENS = 1000;
+
+// Documents the changes between two commits: a summary, the changed files with their diffs and symbol
+// changes, and the files that import them, in the sections and token-budgeted documents of MarkdownGenerator.
+// `basePath` is the directory the head commit is checked out in.
+class DiffGenerator extends MarkdownGenerator {
+    async generateDiffSections(changes, analyses, dependencyGraph, dependents) {
+        const sections = [this.createSection('Change Summary', 'summary', this.generateSummarySection(changes, dependents))];
+        if (this.options.redactSecrets) {
+            sections.push(this.createSection('Redactions', 'redactions', this.generateRedactionSection(this.listChangeRedactions(changes, analyses, dependents))));
+        }
+
+        for (const [directory, group] of this.groupByDirectory(changes, change => change.filePath)) {
+            const blocks = group.flatMap(change => this.formatChangeBlocks(change));
+            sections.push(...this.createPartSections(`Changes: ${directory || 'Root'}`, blocks, 'change_analysis'));
+        }
+
+        for (const [directory, files] of this.groupByDirectory(dependents.map(dependent => dependent.file), file => file)) {
+            const blocks = [];
+            for (const file of files) {
+                blocks.push(await this.formatFileSection(file, analyses.get(file), dependencyGraph.get(file)));
+            }
+            sections.push(...this.createPartSections(`Dependents: ${directory || 'Root'}`, blocks, 'dependent_analysis'));
+        }
+        return sections;
+    }
+
+    // Redactions in what the documents show: both revisions of each changed file, and the dependents
+    listChangeRedactions(changes, analyses, dependents) {
+        const redactedFiles = [];
+        for (const change of changes) {
+            if (change.before?.redactions) {
+                redactedFiles.push({ label: `${change.oldPath} (base)`, redactions: change.before.redactions });
+            }
+            if (change.after?.redactions) {
+                redactedFiles.push({ label: `${change.path} (head)`, redactions: change.after.redactions });
+            }
+        }
+        for (const { file } of dependents) {
+            const redactions = analyses.get(file)?.redactions;
+            if (redactions) {
+                redactedFiles.push({ label: path.relative(this.basePath, file), redactions });
+            }
+        }
+        return redactedFiles;
+    }
+
+    groupByDirectory(items, fileOf) {
+        const groups = new Map();
+        for (const item of items) {
+            const directory = path.relative(this.basePath, path.dirname(fileOf(item)));
+            groups.set(directory, [...(groups.get(directory) || []), item]);
+        }
+        return [...groups].sort(([a], [b]) => a.localeCompare(b));
+    }
+
+    // Blocks are packed into as few parts as the token budget allows; oversized diffs arrive already split
+    createPartSections(title, blocks, tag) {
+        const budget = this.options.maxTokens - SECTION_OVERHEAD_TOKENS;
+        const parts = [[]];
+        let partTokens = 0;
+        for (const block of blocks) {
+            const tokens = estimateTokens(block);
+            if (parts[parts.length - 1].length > 0 && partTokens + tokens > budget) {
+                parts.push([]);
+                partTokens = 0;
+            }
+            parts[parts.length - 1].push(block);
+            partTokens += tokens;
+        }
+
+        return parts.map((partBlocks, index) => {
+            const partTitle = parts.length > 1 ? `${title} (part ${index + 1}/${parts.length})` : title;
+            return this.createSection(partTitle, 'directory', `## ${partTitle}\n\n<${tag}>\n${partBlocks.join('')}</${tag}>`);
+        });
+    }
+
+    formatRevision({ ref, commit }) {
+        return ref === commit || commit.startsWith(ref) ? commit : `${ref} (${commit})`;
+    }
+
+    generateSummarySection(changes, dependents) {
+        const { base, head } = this.options;
+        const counts = {};
+        for (const change of changes) {
+            counts[change.status] = (counts[change.status] || 0) + 1;
+        }
+        const countText = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+
+        let section = `# ${this.repoName} Changes
+
+<change_summary>
+Base: ${this.formatRevision(base)}${base.mergeBase && base.mergeBase !== base.commit ? `, compared from the merge base ${base.mergeBase}` : ''}
+Head: ${this.formatRevision(head)}
+Analysis Date: ${this.options.generatedAt || new Date().toISOString()}
+
+${changes.length} file(s) changed${countText ? `: ${countText}` : ''}. ${dependents.length} file(s) that import them are included for context.
+`;
+        if (changes.length > 0) {
+            section += '\n## Changed Files\n\n| File | Status | Added | Removed | Changed |\n| --- | --- | --- | --- | --- |\n';
+            section += changes.map(change => {
+                const { added, removed, changed } = change.symbols;
+                return `| ${this.formatChangePath(change)} | ${change.status} | ${added.length} | ${removed.length} | ${changed.length} |`;
+            }).join('\n') + '\n';
+        }
+
+        const withSymbols = changes.filter(change => Object.values(change.symbols).some(list => list.length > 0));
+        if (withSymbols.length > 0) {
+            section += '\n## Symbol Changes\n';
+            for (const change of withSymbols) {
+                const { added, removed, changed } = change.symbols;
+                section += `\n${change.path || change.oldPath}:\n`;
+                if (added.length > 0) section += `- Added: ${added.map(s => `${s.kind} ${s.name}`).join(', ')}\n`;
+                if (removed.length > 0) section += `- Removed: ${removed.map(s => `${s.kind} ${s.name}`).join(', ')}\n`;
+                if (changed.length > 0) section += `- Changed: ${changed.map(s => `${s.kind} ${s.name}`).join(', ')}\n`;
+            }
+        }
+
+        if (dependents.length > 0) {
+            section += '\n## Dependents\nFiles that import a changed file, documented after the changes:\n';
+            section += dependents.map(({ file, imports }) =>
+                `- ${path.relative(this.basePath, file)} (imports ${imports.join(', ')})`
+            ).join('\n') + '\n';
+        }
+
+        section += '</change_summary>\n';
+        return section;
+    }
+
+    formatChangePath(change) {
+        return change.status === 'renamed' ? `${change.oldPath} → ${change.path}` : change.path || change.oldPath;
+    }
+
+    // One block per change, or several when its diff does not fit the budget: the diff is then cut between
+    // hunks like a large source file between declarations, and line by line within a hunk that is too large
+    formatChangeBlocks(change) {
+        const budget = this.options.maxTokens - SECTION_OVERHEAD_TOKENS;
+        const title = `### File: ${this.formatChangePath(change)} (${change.status}`;
+        const details = this.formatChangeDetails(change);
+        const whole = `${title})\n\n${details}${this.formatDiff(change.diff)}`;
+        if (estimateTokens(whole) <= budget) {
+            return [whole];
+        }
+
+        const diff = change.diff.replace(/\n$/, '');
+        const hunkStarts = diff.split('\n')
+            .map((line, index) => (line.startsWith('@@') ? index : null))
+            .filter(index => index !== null);
+        // The details go with the first part, or in a block of their own when they leave too little room for the diff
+        const sharedBudget = budget - estimateTokens(details) - SECTION_OVERHEAD_TOKENS;
+        const separate = sharedBudget < MIN_CHUNK_TOKENS;
+        const chunks = this.splitFileContent(diff, [], separate ? budget - SECTION_OVERHEAD_TOKENS : sharedBudget, hunkStarts);
+        const blocks = chunks.map((chunk, index) => `${title}, diff part ${index + 1}/${chunks.length})\n\n`
+            + (index === 0 && !separate ? details : '')
+            + this.formatDiff(chunk.content));
+        return separate ? [`${title})\n\n${details}`, ...blocks] : blocks;
+    }
+
+    formatDiff(diff) {
+        return diff.trim() ? `<file_diff>\n\`\`\`diff\n${diff.replace(/\n$/, '')}\n\`\`\`\n</file_diff>\n\n` : '';
+    }
+
+    formatChangeDetails(change) {
+        let block = '<file_changes>\n';
+
+        const purpose = change.after?.docstring || change.before?.docstring;
+        if (purpose) {
+            block += `Purpose: ${purpose.split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim()}\n`;
+        }
+        block += this.formatSymbolLists(change);
+
+        const { added, removed, changed } = change.symbols;
+        const describe = symbol => `${symbol.kind} ${symbol.signature && symbol.kind !== 'export' ? symbol.signature : symbol.name}`;
+        if (added.length > 0) {
+            block += '\nAdded:\n' + added.map(s => `- ${describe(s)}`).join('\n') + '\n';
+        }
+        if (removed.length > 0) {
+            block += '\nRemoved:\n' + removed.map(s => `- ${describe(s)}`).join('\n') + '\n';
+        }
+        if (changed.length > 0) {
+            block += '\nChanged:\n' + changed.map(s => (s.change === 'signature'
+                ? `- ${s.kind} ${s.name}: ${s.before} → ${s.signature}`
+                : `- ${s.kind} ${s.name}: implementation changed`)).join('\n') + '\n';
+        }
+        block += '</file_changes>\n\n';
+        return block;
+    }
+
+    // Exports and functions (with class methods) of each side that has the file
+    formatSymbolLists(change) {
+        const exportsOf = analysis => (analysis.exports || []).map(e => `${e.type}: ${e.name}`);
+        const functionsOf = analysis => [
+            ...(analysis.functions || []).map(f => `${f.name}(${(f.params || []).join(', ')})`),
+            ...(analysis.classes || []).flatMap(c => (c.methods || []).map(m => `${c.name}.${m.name}(${(m.params || []).join(', ')})`))
+        ];
+
+        let lists = '';
+        for (const [label, listOf] of [['Exports', exportsOf], ['Functions', functionsOf]]) {
+            const before = change.before ? listOf(change.before) : null;
+            const after = change.after ? listOf(change.after) : null;
+            if (!before?.length && !after?.length) continue;
+            if (before) lists += `${label} before: ${before.join(', ') || '(none)'}\n`;
+            if (after) lists += `${label} after: ${after.join(', ') || '(none)'}\n`;
+        }
+        return lists;
+    }
+}
+
+export default DiffGenerator;
@@ -0,0 +1,82 @@
+// src/file-index.js
+import { basename, dirname, sep } from 'path';
+
+function push(map, key, value) {
+    const list = map.get(key);
+    if (list) list.push(value);
+    else map.set(key, [value]);
+}
+
+// The deepest directory holding every file
+function commonDirectory(files) {
+    if (files.length === 0) return null;
+    let common = dirname(files[0]);
+    for (const file of files) {
+        while (file !== common && !file.startsWith(common.endsWith(sep) ? common : common + sep)) {
+            common = dirname(common);
+        }
+    }
+    return common;
+}
+
+// The files of a scan with lookups by file name and by directory, so imports are resolved without walking
+// every file or asking the file system. It is a Set of absolute paths and can be passed wherever one is expected.
+// `root` is the repository root, which resolvers looking for config files never climb above; it defaults to the
+// directory holding every file. Config lookups are memoized on the index, so they last for one dependency graph.
+class FileIndex extends Set {
+    constructor(files = [], { root = null } = {}) {
+        super();
+        this.byName = new Map();
+        this.byDirectory = new Map();
+        this.byDirectoryName = new Map();
+        this.lookups = new Map();
+        for (const file of files) {
+            this.add(file);
+        }
+        this.root = root ?? commonDirectory([...this]);
+    }
+
+    static from(files) {
+        return files instanceof FileIndex ? files : new FileIndex(files);
+    }
+
+    add(file) {
+        if (this.has(file)) return this;
+        super.add(file);
+        const dir = dirname(file);
+        if (!this.byDirectory.has(dir)) push(this.byDirectoryName, basename(dir), dir);
+        push(this.byDirectory, dir, file);
+        push(this.byName, basename(file), file);
+        return this;
+    }
+
+    // Files whose path ends in `suffix`, which starts with a path separator
+    withSuffix(suffix) {
+        return (this.byName.get(basename(suffix)) || []).filter(file => file.endsWith(suffix));
+    }
+
+    // Whether a directory is the root or inside it
+    contains(dir) {
+        return this.root === null || dir === this.root || dir.startsWith(this.root.endsWith(sep) ? this.root : this.root + sep);
+    }
+
+    // The result of `compute` for `key`, computed once per index
+    memo(kind, key, compute) {
+        const id = `${kind}\0${key}`;
+        if (!this.lookups.has(id)) this.lookups.set(id, compute());
+        return this.lookups.get(id);
+    }
+
+    inDirectory(dir) {
+        return this.byDirectory.get(dir) || [];
+    }
+
+    // Files of every directory whose path ends in `suffix`, which starts with a path separator
+    inDirectoriesEndingWith(suffix) {
+        return (this.byDirectoryName.get(basename(suffix)) || [])
+            .filter(dir => dir.endsWith(suffix))
+            .flatMap(dir => this.inDirectory(dir));
+    }
+}
+
+export default FileIndex;
@@ -0,0 +1,199 @@
+// src/file-scanner.js
+import { join, relative, sep } from 'path';
+import fs from 'fs/promises';
+import ignore from 'ignore';
+
+// Ignore files read in every directory, in order of precedence (later files can re-include with `!`)
+export const IGNORE_FILES = ['.gitignore', '.claudeignore'];
+
+function toPosixPath(filePath) {
+    return sep === '/' ? filePath : filePath.split(sep).join('/');
+}
+
+async function readIgnoreFile(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+        return null;
+    }
+}
+
+async function loadIgnoreLayers(dir, config) {
+    const layers = [];
+    for (const name of IGNORE_FILES) {
+        if (name === '.gitignore' && !config.useGitignore) continue;
+        const content = await readIgnoreFile(join(dir, name));
+        if (content !== null) {
+            layers.push({ dir, matcher: ignore().add(content) });
+        }
+    }
+    return layers;
+}
+
+// Patterns are matched relative to the directory holding them; the last layer with an opinion wins,
+// which gives nested .gitignore files and negations the same meaning they have for git.
+function isIgnored(fullPath, isDirectory, layers) {
+    let ignored = false;
+    for (const { dir, matcher } of layers) {
+        const relativePath = toPosixPath(relative(dir, fullPath)) + (isDirectory ? '/' : '');
+        const result = matcher.test(relativePath);
+        if (result.ignored) {
+            ignored = true;
+        } else if (result.unignored) {
+            ignored = false;
+        }
+    }
+    return ignored;
+}
+
+// Bytes read from the start of a file to tell text from binary and source from generated code
+const SAMPLE_BYTES = 8192;
+// Bytes read from the end of a file, where compilers and bundlers put their source map comment
+const TAIL_BYTES = 512;
+// Average line length, over a sample of at least MINIFIED_SAMPLE_BYTES, above which code counts as minified
+const MINIFIED_LINE_LENGTH = 500;
+const MINIFIED_SAMPLE_BYTES = 1024;
+// Comments that mark a file as written by a tool, looked for in its first lines
+const GENERATED_MARKERS = /@generated\b|\bDO NOT EDIT\b|\bCode generated\b|\bauto-?generated\b|\bThis file (?:is|was) generated\b/i;
+const GENERATED_HEADER_LINES = 5;
+const SOURCE_MAP_COMMENT = /[#@] sourceMappingURL=\S+\s*(?:\*\/)?\s*$/;
+
+// Files that hold credentials as a whole, such as .env files and private keys, are left out while secrets are
+// redacted
+function secretFileMatcher(config) {
+    return config.redactSecrets ? ignore().add(config.secretFilePatterns || []) : null;
+}
+
+// Whether a file name is of a documented type: one of the extensions, or a well-known name such as Dockerfile
+function hasTextType(name, config, namesMatcher = ignore().add(config.textFileNames || [])) {
+    return config.textFileExtensions.some(ext => name.toLowerCase().endsWith(ext)) || namesMatcher.ignores(name);
+}
+
+async function readSample(filePath) {
+    let handle;
+    try {
+        handle = await fs.open(filePath, 'r');
+        const { size } = await handle.stat();
+        const head = Buffer.alloc(Math.min(size, SAMPLE_BYTES));
+        await handle.read(head, 0, head.length, 0);
+        const tail = Buffer.alloc(Math.min(Math.max(size - head.length, 0), TAIL_BYTES));
+        await handle.read(tail, 0, tail.length, size - tail.length);
+        return { head, tail: tail.length > 0 ? tail : head.subarray(-TAIL_BYTES) };
+    } catch (error) {
+        return null;
+    } finally {
+        await handle?.close();
+    }
+}
+
+// NUL bytes, or more than one in ten bytes being control characters other than whitespace, mean binary
+function isBinary(buffer) {
+    let control = 0;
+    for (const byte of buffer) {
+        if (byte === 0) return true;
+        if (byte < 32 && ![9, 10, 12, 13, 27].includes(byte)) control++;
+    }
+    return control > buffer.length / 10;
+}
+
+function detectGenerated({ head, tail }) {
+    const text = head.toString('utf-8');
+    const headerLines = text.split('\n', GENERATED_HEADER_LINES);
+    if (headerLines.some(line => GENERATED_MARKERS.test(line))) return 'generated';
+    if (SOURCE_MAP_COMMENT.test(tail.toString('utf-8'))) return 'generated';
+
+    const lines = text.split('\n');
+    if (text.length >= MINIFIED_SAMPLE_BYTES && text.length / lines.length > MINIFIED_LINE_LENGTH) return 'minified';
+    return null;
+}
+
+// Why a file is left out, or null to document it: binary content, a type that is not documented (files without
+// an extension count as scripts when they start with a shebang), or code that was generated or minified
+async function classifyFile(filePath, name, scan) {
+    const sample = await readSample(filePath);
+    if (!sample) return 'unreadable';
+    if (isBinary(sample.head)) return 'binary';
+    const isScript = !name.includes('.') && sample.head.subarray(0, 2).toString() === '#!';
+    if (!hasTextType(name, scan.config, scan.textFileNames) && !isScript) return 'unsupported';
+    return scan.config.skipGenerated ? detectGenerated(sample) : null;
+}
+
+async function walk(dir, scan, layers) {
+    const { root, config, skipPaths, secretFiles, vendored } = scan;
+    const entries = await fs.readdir(dir, {
+        withFileTypes: true
+    });
+    const dirLayers = [...layers, ...await loadIgnoreLayers(dir, config)];
+    const results = [];
+    const skip = (path, reason) => scan.skipped.push({
+        path,
+        reason
+    });
+
+    for (const entry of entries) {
+        const fullPath = join(dir, entry.name);
+        if (skipPaths.includes(fullPath)) {
+            continue;
+        }
+
+        const isDirectory = entry.isDirectory();
+        if (isIgnored(fullPath, isDirectory, dirLayers)) {
+            continue;
+        }
+
+        const relativePath = toPosixPath(relative(root, fullPath));
+        if (isDirectory) {
+            // Third-party code checked into the repository is recorded once, as its directory
+            if (vendored.ignores(`${relativePath}/`)) {
+                skip(fullPath, 'vendored');
+            } else {
+                results.push(...await walk(fullPath, scan, dirLayers));
+            }
+        } else if (secretFiles?.ignores(relativePath)) {
+            skip(fullPath, 'secret');
+        } else {
+            const reason = await classifyFile(fullPath, entry.name, scan);
+            if (reason) {
+                skip(fullPath, reason);
+            } else {
+                results.push(fullPath);
+            }
+        }
+    }
+
+    return results;
+}
+
+// Whether a repository-relative path passes the configured file types and exclude patterns, for files
+// that are not on disk to be scanned, such as ones deleted by a change. Their content is not checked.
+export function matchesScanConfig(relativePath, config) {
+    const posixPath = toPosixPath(relativePath);
+    return hasTextType(posixPath.split('/').pop(), config)
+        && !ignore().add(config.excludePatterns).ignores(posixPath)
+        && !ignore().add(config.vendorPatterns || []).ignores(posixPath)
+        && !secretFileMatcher(config)?.ignores(posixPath);
+}
+
+// Files left out for a reason worth reporting are added to `skipped` as { path, reason }: secret, vendored (a
+// directory), binary, unsupported, generated, minified or unreadable. Ignored and excluded paths are not.
+export async function scanDirectory(root, config, skipPaths = [], skipped = []) {
+    // Configured exclude patterns behave like a .gitignore at the repository root
+    const layers = [{ dir: root, matcher: ignore().add(config.excludePatterns) }];
+
+    if (config.useGitignore) {
+        const excludeFile = await readIgnoreFile(join(root, '.git', 'info', 'exclude'));
+        if (excludeFile !== null) {
+            layers.push({ dir: root, matcher: ignore().add(excludeFile) });
+        }
+    }
+
+    return walk(root, {
+        root,
+        config,
+        skipPaths,
+        secretFiles: secretFileMatcher(config),
+        vendored: ignore().add(config.vendorPatterns || []),
+        textFileNames: ignore().add(config.textFileNames || []),
+        skipped
+    }, layers);
+}
@@ -0,0 +1,95 @@
+// src/git-diff.js
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import simpleGit from 'simple-git';
+
+const execFileAsync = promisify(execFile);
+
+// `git diff --name-status` letters; type changes (T) are content changes as far as we are concerned
+const STATUS_NAMES = {
+    A: 'added',
+    M: 'modified',
+    D: 'deleted',
+    R: 'renamed',
+    T: 'modified'
+};
+
+// The commit a ref names. In a clone, branches of the source exist only as remote-tracking branches.
+export async function resolveCommit(repoPath, ref) {
+    const git = simpleGit(repoPath);
+    for (const candidate of [ref, `origin/${ref}`]) {
+        try {
+            const commit = (await git.raw(['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`])).trim();
+            if (commit) return commit;
+        } catch (error) {
+            // Not a ref in this form, try the next one
+        }
+    }
+    throw new Error(`Unknown ref "${ref}": not a branch, tag or commit of the repository`);
+}
+
+// Where `head` branched off `base`, the commit `git diff base...head` compares against, so commits that landed on
+// `base` since then do not show up as reverted
+export async function findMergeBase(repoPath, base, head) {
+    try {
+        return (await simpleGit(repoPath).raw(['merge-base', base, head])).trim();
+    } catch (error) {
+        throw new Error(`${base} and ${head} have no common ancestor to compare from`);
+    }
+}
+
+// Files changed from `base` to `head`, as { status, oldPath, path } with repository-relative paths.
+// `oldPath` is null for added files, `path` is null for deleted ones.
+export async function listChanges(repoPath, base, head) {
+    const output = await simpleGit(repoPath).raw(['diff', '--name-status', '-z', '--find-renames', base, head]);
+    const fields = output.split('\0');
+    const changes = [];
+    for (let i = 0; i < fields.length && fields[i] !== '';) {
+        const letter = fields[i++][0];
+        const status = STATUS_NAMES[letter] || 'modified';
+        if (letter === 'R' || letter === 'C') {
+            changes.push({ status, oldPath: fields[i++], path: fields[i++] });
+        } else {
+            const filePath = fields[i++];
+            changes.push({
+                status,
+                oldPath: status === 'added' ? null : filePath,
+                path: status === 'deleted' ? null : filePath
+            });
+        }
+    }
+    return changes;
+}
+
+export async function unifiedDiff(repoPath, base, head, change) {
+    const paths = [...new Set([change.oldPath, change.path].filter(Boolean))];
+    return simpleGit(repoPath).raw(['diff', '--no-color', '--no-ext-diff', '--find-renames', base, head, '--', ...paths]);
+}
+
+export async function readFileAt(repoPath, commit, filePath) {
+    return simpleGit(repoPath).raw(['show', `${commit}:${filePath}`]);
+}
+
+// Writes the files of `commit` to `targetDir` through a temporary index, so the repository's own index,
+// HEAD and working tree are left alone. Run without simple-git, which refuses an environment that
+// contains the user's GIT_EDITOR or GIT_ASKPASS.
+export async function checkoutTree(repoPath, commit, targetDir) {
+    await fs.mkdir(targetDir, {
+        recursive: true
+    });
+    const indexFile = `${targetDir}.index`;
+    try {
+        await execFileAsync('git', [`--work-tree=${targetDir}`, 'read-tree', '-u', '--reset', commit], {
+            cwd: repoPath,
+            env: { ...process.env, GIT_INDEX_FILE: indexFile },
+            maxBuffer: 64 * 1024 * 1024
+        });
+    } catch (error) {
+        throw new Error(`Could not check out ${commit}: ${(error.stderr || error.message).trim()}`);
+    } finally {
+        await fs.rm(indexFile, {
+            force: true
+        });
+    }
+}
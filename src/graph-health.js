@@ -0,0 +1,227 @@
+// src/graph-health.js
+import path from 'path';
+
+// Structural problems in the graph built by CodeAnalyzer.buildDependencyGraph: import cycles, modules that
+// no entry point reaches and local imports that did not resolve. Paths are absolute, as in the graph.
+
+// Files run by a tool or a test runner rather than imported
+const ENTRY_NAME_PATTERN = /^(?:main|cli|app|server|__main__|manage|setup|conftest|wsgi|asgi)\.\w+$|\.config\.[cm]?[jt]s$/;
+// Names every directory of a package has; only those at the root of a package (or of its sources) are entry points
+const MODULE_ENTRY_PATTERN = /^(?:index|lib|__init__)\.\w+$/;
+const MANIFEST_NAMES = ['package.json', 'pyproject.toml', 'setup.py', 'setup.cfg', 'Cargo.toml', 'composer.json', 'go.mod'];
+const TEST_PATTERN = /(?:^|\/)(?:tests?|spec|__tests__)\/|(?:^|\/)test_[^/]*$|[._-](?:test|spec)\.\w+$|_test\.go$/;
+const PYTHON_MAIN_PATTERN = /^if\s+__name__\s*==\s*['"]__main__['"]/m;
+// Languages whose files use the rest of their package (directory) without importing it
+const PACKAGE_SCOPED_LANGUAGES = ['go', 'java', 'php'];
+// Build directories package.json entry points point into, and the extensions of what ends up there
+const OUTPUT_DIR_PATTERN = /(^|\/)(?:dist|build|lib|out|esm|cjs)\//;
+const SOURCE_EXTENSIONS = ['', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '/index.js', '/index.ts'];
+
+function internalDependencies(dependencyGraph, file) {
+    const node = dependencyGraph.get(file);
+    return node?.internal || (node?.dependencies || []).filter(dep => dependencyGraph.has(dep));
+}
+
+// Strongly connected components of more than one file, and files importing themselves (Tarjan's algorithm,
+// iterative so deep import chains cannot overflow the stack)
+function findStronglyConnected(dependencyGraph) {
+    let counter = 0;
+    const index = new Map();
+    const lowlink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const visit = file => {
+        index.set(file, counter);
+        lowlink.set(file, counter++);
+        stack.push(file);
+        onStack.add(file);
+    };
+
+    for (const root of dependencyGraph.keys()) {
+        if (index.has(root)) continue;
+        visit(root);
+        const work = [{ file: root, next: 0 }];
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const deps = internalDependencies(dependencyGraph, frame.file);
+            if (frame.next < deps.length) {
+                const dep = deps[frame.next++];
+                if (!index.has(dep)) {
+                    visit(dep);
+                    work.push({ file: dep, next: 0 });
+                } else if (onStack.has(dep)) {
+                    lowlink.set(frame.file, Math.min(lowlink.get(frame.file), index.get(dep)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].file;
+                lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.file)));
+            }
+            if (lowlink.get(frame.file) === index.get(frame.file)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.file);
+                if (component.length > 1 || deps.includes(frame.file)) {
+                    components.push(component.sort());
+                }
+            }
+        }
+    }
+    return components;
+}
+
+// The shortest cycle through the first file of a component, as [a, b, ..., a]
+function shortestCycle(dependencyGraph, component) {
+    const members = new Set(component);
+    const [start] = component;
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const file = queue.shift();
+        for (const dep of internalDependencies(dependencyGraph, file)) {
+            if (dep === start) {
+                const cycle = [start];
+                for (let at = file; at !== start; at = previous.get(at)) cycle.splice(1, 0, at);
+                return [...cycle, start];
+            }
+            if (members.has(dep) && !previous.has(dep)) {
+                previous.set(dep, file);
+                queue.push(dep);
+            }
+        }
+    }
+    return [start, start];
+}
+
+// Files named by `main`, `module`, `bin` and `exports` of the analyzed package.json files; entry points in a
+// build directory are looked up among the sources
+function declaredEntryPoints(analyses) {
+    const entries = new Set();
+    const collect = value => (typeof value === 'string' ? [value]
+        : value && typeof value === 'object' ? Object.values(value).flatMap(collect) : []);
+
+    for (const [filePath, analysis] of analyses) {
+        if (path.basename(filePath) !== 'package.json') continue;
+        let manifest;
+        try {
+            manifest = JSON.parse(analysis.content);
+        } catch (error) {
+            continue;
+        }
+        const targets = [manifest.main, manifest.module, manifest.source, manifest.bin, manifest.exports].flatMap(collect);
+        for (const target of targets.filter(t => t.startsWith('.') || !t.includes(':'))) {
+            const absolute = path.resolve(path.dirname(filePath), target);
+            const relative = path.relative(path.dirname(filePath), absolute).split(path.sep).join('/');
+            const source = path.resolve(path.dirname(filePath), relative.replace(OUTPUT_DIR_PATTERN, '$1src/').replace(/(\.d)?\.[cm]?[jt]sx?$/, ''));
+            const match = [absolute, source]
+                .flatMap(base => SOURCE_EXTENSIONS.map(ext => base + ext))
+                .find(candidate => analyses.has(candidate));
+            if (match) entries.add(match);
+        }
+    }
+    return entries;
+}
+
+// The repository root and the directories of analyzed manifests, each with its `src` and `lib`, and the
+// directories of declared entry points
+function mainDirectories(analyses, basePath, declared) {
+    const roots = [path.resolve(basePath)];
+    for (const filePath of analyses.keys()) {
+        if (MANIFEST_NAMES.includes(path.basename(filePath))) roots.push(path.dirname(filePath));
+    }
+    return new Set([
+        ...roots.flatMap(root => [root, path.join(root, 'src'), path.join(root, 'lib')]),
+        ...[...declared].map(file => path.dirname(file))
+    ]);
+}
+
+function isEntryPoint(filePath, analysis, relativePath, mainDirs) {
+    const content = analysis.content || '';
+    const name = path.basename(filePath);
+    const dir = path.dirname(filePath);
+    // A Python package's __init__ is an entry point when the package itself is top-level
+    const moduleEntry = MODULE_ENTRY_PATTERN.test(name)
+        && (mainDirs.has(dir) || (name.startsWith('__init__.') && mainDirs.has(path.dirname(dir))));
+    return ENTRY_NAME_PATTERN.test(name)
+        || moduleEntry
+        || TEST_PATTERN.test(relativePath)
+        || content.startsWith('#!')
+        || PYTHON_MAIN_PATTERN.test(content)
+        || analysis.package === 'main'
+        || (analysis.functions || []).some(fn => fn.name === 'main')
+        || (analysis.classes || []).some(cls => (cls.methods || []).some(method => method.name === 'main' && method.static));
+}
+
+export function analyzeGraphHealth(analyses, dependencyGraph, basePath) {
+    const codeFiles = [...dependencyGraph.keys()].filter(file => analyses.get(file)?.language || analyses.get(file)?.analyzer);
+    const toRelative = file => path.relative(basePath, file).split(path.sep).join('/');
+
+    // Reaching one file of a package scoped language reaches its whole package
+    const packageOf = file => {
+        const language = analyses.get(file)?.language;
+        return PACKAGE_SCOPED_LANGUAGES.includes(language) ? `${language}:${path.dirname(file)}` : file;
+    };
+    const packageFiles = new Map();
+    for (const file of codeFiles) {
+        const key = packageOf(file);
+        if (!packageFiles.has(key)) packageFiles.set(key, []);
+        packageFiles.get(key).push(file);
+    }
+
+    const declared = declaredEntryPoints(analyses);
+    const mainDirs = mainDirectories(analyses, basePath, declared);
+    let entryPoints = codeFiles.filter(file => declared.has(file) || isEntryPoint(file, analyses.get(file), toRelative(file), mainDirs));
+    if (entryPoints.length === 0) {
+        // Without recognizable entry points, whatever nothing imports is where the code starts
+        const imported = new Set(codeFiles.flatMap(file => internalDependencies(dependencyGraph, file)
+            .filter(dep => packageOf(dep) !== packageOf(file))
+            .map(packageOf)));
+        entryPoints = codeFiles.filter(file => !imported.has(packageOf(file)));
+    }
+
+    // Breadth-first; each package's files are queued once, by the first of them reached
+    const reached = new Set();
+    const reachedPackages = new Set();
+    const queue = [...entryPoints];
+    for (let next = 0; next < queue.length; next++) {
+        const file = queue[next];
+        if (reached.has(file)) continue;
+        reached.add(file);
+        queue.push(...internalDependencies(dependencyGraph, file).filter(dep => !reached.has(dep)));
+        const key = packageOf(file);
+        if (!reachedPackages.has(key)) {
+            reachedPackages.add(key);
+            queue.push(...(packageFiles.get(key) || []).filter(other => !reached.has(other)));
+        }
+    }
+
+    const cycles = findStronglyConnected(dependencyGraph).map(files => ({
+        files,
+        path: shortestCycle(dependencyGraph, files)
+    }));
+
+    const unresolvedImports = [];
+    for (const [file, node] of dependencyGraph.entries()) {
+        for (const dependency of node.dependencies) {
+            if (path.isAbsolute(dependency) && !dependencyGraph.has(dependency)) {
+                unresolvedImports.push({ from: file, to: dependency });
+            }
+        }
+    }
+
+    return {
+        cycles,
+        entryPoints,
+        orphans: codeFiles.filter(file => !reached.has(file)),
+        unresolvedImports
+    };
+}
@@ -3,308 +3,1013 @@ import {
   fileURLToPath
 } from 'url';
 import {
+  basename,
   dirname,
+  extname,
   join,
-  relative
+  relative,
+  resolve
 } from 'path';
 import fs from 'fs/promises';
+import os from 'os';
 import simpleGit from 'simple-git';
-import chalk from 'chalk';
 import CodeAnalyzer from './code-analyzer.js';
+import AnalysisCache, {
+  analyzerFingerprint
+} from './analysis-cache.js';
 import MarkdownGenerator from './markdown-generator.js';
+import DiffGenerator from './diff-generator.js';
+import WorkerPool from './worker-pool.js';
 import progress from './progress-util.js';
+import {
+  defaultConfig,
+  loadConfig
+} from './config-loader.js';
+import {
+  matchesScanConfig,
+  scanDirectory
+} from './file-scanner.js';
+import {
+  checkoutTree,
+  findMergeBase,
+  listChanges,
+  readFileAt,
+  resolveCommit,
+  unifiedDiff
+} from './git-diff.js';
+import {
+  writeDocuments
+} from './output-manifest.js';
+import {
+  loadPlugins
+} from './plugin-registry.js';
+import {
+  buildAnalysisModel,
+  serializeJSON,
+  serializeXML
+} from './structured-exporter.js';
+import {
+  diffSymbols
+} from './symbol-diff.js';
+import {
+  redactDiff,
+  redactSecrets
+} from './secret-redactor.js';
+import {
+  cloneHistory,
+  cloneRepository,
+  getRevision,
+  isCommitSha,
+  resolveSource
+} from './source-util.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-function globToRegExp(pattern) {
-  if (pattern.startsWith('**/')) {
-    // Handle **/ pattern (match any directory depth or none)
-    const filename = pattern.slice(3);
-    return new RegExp(`^(.*/)?${filename.replace(/\./g, '\\.').replace(/\*/g, '[^/]*')}$`);
-  } else if (pattern.includes('*')) {
-    // Handle simple * wildcards
-    return new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '[^/]*')}$`);
-  } else {
-    // Handle literal matches
-    return new RegExp(`^${pattern}$`);
+const ANALYSIS_WORKER = join(__dirname, 'analysis-worker.js');
+// Below this many files per worker, starting the threads costs more than it saves
+const MIN_FILES_PER_WORKER = 50;
+const FILES_IN_FLIGHT_PER_WORKER = 2;
+
+async function detectVersion(repoPath, revision, ref, reporter) {
+  let version = revision ? revision.shortCommit : 'latest';
+  try {
+    const packageJsonPath = join(repoPath, 'package.json');
+    const packageJsonExists = await fs.access(packageJsonPath)
+      .then(() => true)
+      .catch(() => false);
+
+    if (packageJsonExists) {
+      const packageJson = JSON.parse(
+        await fs.readFile(packageJsonPath, 'utf-8')
+      );
+      version = packageJson.version || version;
+    } else if (revision) {
+      // Try to get latest git tag
+      const tags = await simpleGit(repoPath).tags();
+      if (tags.latest) {
+        version = tags.latest;
+      }
+    }
+  } catch (error) {
+    reporter.warn(`Could not determine version, using "${version}"`);
   }
+
+  // An explicit ref always names the snapshot, pinned to the commit it resolved to
+  if (ref) {
+    const refName = ref.replace(/[^\w.-]+/g, '-');
+    if (!revision) {
+      version = refName;
+    } else if (isCommitSha(ref)) {
+      version = revision.shortCommit;
+    } else {
+      version = `${refName}@${revision.shortCommit}`;
+    }
+  }
+
+  return version;
+}
+
+// Plugins come from the local config only, and may add file extensions to scan
+async function setupPlugins(config, extraPlugins, cwd, reporter) {
+  const pluginEntries = [...(config.plugins || []), ...extraPlugins];
+  if (pluginEntries.length === 0) {
+    return {
+      config,
+      plugins: null
+    };
+  }
+
+  reporter.addSubtask('Loading plugins');
+  const plugins = await loadPlugins(pluginEntries, {
+    cwd
+  });
+  reporter.completeSubtask('Loading plugins');
+  return {
+    config: {
+      ...config,
+      textFileExtensions: [...new Set([...config.textFileExtensions, ...plugins.getExtensions()])]
+    },
+    plugins
+  };
 }
 
-function matchesGlobPattern(path, pattern) {
-  const regex = globToRegExp(pattern);
-  const matches = regex.test(path);
-  
-  // Only log lock file matches for debugging
-  // if (path.includes('lock') || path.includes('package-lock')) {
-  //   console.log(`Lock file check - Path: ${path}, Pattern: ${regex}, Matches: ${matches}`);
-  // }
-  
-  return matches;
+// Writes documents; a manifest in `manifestDir` (by default the output directory) keeps unchanged documents from
+// being rewritten
+async function writeOutput(result, { writer, outputDir, manifestDir, format, bundle, reuse, reporter }) {
+  const { documents, generatedAt } = result;
+  if (!writer && !outputDir) {
+    return null;
+  }
+
+  reporter.addSubtask('Writing documentation files');
+  let output = null;
+  if (writer) {
+    for (const [index, document] of documents.entries()) {
+      reporter.update('Writing documentation files', index + 1, documents.length);
+      await writer(document.filename, document.content);
+    }
+  } else {
+    output = await writeDocuments(outputDir, documents, {
+      format,
+      bundle,
+      generatedAt,
+      reuse,
+      manifestDir,
+      onProgress: (done, total) => reporter.update('Writing documentation files', done, total)
+    });
+    reporter.info(`Wrote ${output.written} document(s), kept ${output.unchanged} unchanged` +
+      (output.removed > 0 ? `, removed ${output.removed} no longer generated` : ''));
+  }
+  reporter.completeSubtask('Writing documentation files');
+  return output;
 }
 
-// Configuration
-const config = {
-  tempDir: 'temp',
-  outputDir: '.',
-  markdownDir: 'claude-docs',
-  textFileExtensions: [
-    '.js', '.jsx', '.ts', '.tsx', '.md', '.txt', '.json',
-    '.yml', '.yaml', '.css', '.scss', '.html', '.vue',
-    '.py', '.rb', '.php', '.java', '.go', '.rs', '.sh'
-  ],
-  excludePatterns: [
-    'node_modules', 'dist', 'build', 'coverage', '.git',
-    '*.min.js', '*.bundle.js', '*.test.js', '*.spec.js',
-    '**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml', '**/bun.lockb',
-    '**/Cargo.lock', '**/Gemfile.lock', '**/composer.lock', '**/poetry.lock',
-    '**/mix.lock', '**/paket.lock', '**/packages.lock.json',
-    '**/shrinkwrap.yaml', '**/flake.lock', '**/pnpm-workspace.yaml'
-  ],
-  maxFileSize: 12000,
-  sectionsPerFile: 5,
-};
+// Programmatic entry point: analyzes `source` and resolves to the generated documents and analysis in memory.
+// Files are only written when `outputDir` (a path, or ({ repository, config }) => path) or a custom `writer` is given.
+// `plugins` adds plugin objects or register functions to the ones named in the config. With `cacheDir`, analyses
+// of unchanged files are reused from earlier runs; with `manifestDir`, a directory that stays the same while
+// `outputDir` changes with the version, unchanged documents are carried over from the directory written last.
+export async function analyzeRepository(options = {}) {
+  const {
+    source,
+    ref,
+    configPath,
+    config: overrides,
+    writer,
+    progress: reporter = progress,
+    cwd = process.cwd(),
+    cacheDir,
+    skipPaths = [],
+    plugins: extraPlugins = []
+  } = options;
+
+  if (!source) {
+    throw new Error('analyzeRepository: "source" is required');
+  }
 
-async function scanDirectory(dir) {
-  const files = await fs.readdir(dir, {
-    withFileTypes: true
+  const {
+    type,
+    location,
+    username,
+    repoName
+  } = await resolveSource(source);
+  // Local sources are documented in place unless a specific ref has to be checked out
+  const isLocal = type === 'local' && !ref;
+
+  let {
+    config
+  } = await loadConfig({
+    cwd,
+    configPath,
+    overrides
   });
-  const results = [];
-
-  for (const file of files) {
-    const fullPath = join(dir, file.name);
-    const relativePath = relative(dir, fullPath);
-    
-    // Only log if it's a lock file
-    // if (file.name.includes('lock') || file.name.includes('package-lock')) {
-    //   console.log(`\nProcessing lock file: ${relativePath}`);
-    // }
-    
-    // For lock files, first check against lock file patterns
-    const isLockFile = file.name.includes('lock') || file.name.includes('package-lock');
-    let shouldExclude = false;
-
-    if (isLockFile) {
-      // Check only against lock file patterns first
-      const lockPatterns = config.excludePatterns.filter(p => 
-        p.includes('lock') || p.includes('package-lock')
-      );
-      shouldExclude = lockPatterns.some(pattern => 
-        matchesGlobPattern(file.name, pattern) || 
-        matchesGlobPattern(relativePath, pattern)
-      );
+  const tempRoot = resolve(cwd, config.tempDir);
+  let runPath = null;
+
+  try {
+    reporter.start('Repository Analysis');
+    runPath = isLocal ? null : await createRunDirectory(cwd, config);
+    const repoPath = isLocal ? location : join(runPath, repoName);
+
+    // Clone repository
+    if (!isLocal) {
+      reporter.addSubtask('Cloning repository');
+      await cloneRepository(location, repoPath, ref);
+      reporter.completeSubtask('Cloning repository');
     }
 
-    // If not excluded yet and not a lock file, check other patterns
-    if (!shouldExclude && !isLockFile) {
-      const otherPatterns = config.excludePatterns.filter(p => 
-        !p.includes('lock') && !p.includes('package-lock')
-      );
-      shouldExclude = otherPatterns.some(pattern => 
-        matchesGlobPattern(file.name, pattern) || 
-        matchesGlobPattern(relativePath, pattern)
-      );
+    // Get version information
+    reporter.addSubtask('Getting version information');
+    const revision = await getRevision(repoPath);
+    const version = await detectVersion(repoPath, revision, ref, reporter);
+    const repository = {
+      owner: username,
+      name: repoName,
+      version,
+      ref: ref || (isLocal ? 'working tree' : 'default branch'),
+      commit: revision?.commit || null,
+      dirty: revision?.dirty || false
+    };
+    reporter.completeSubtask('Getting version information');
+
+    // Pick up the repository's own config file now that it is on disk
+    reporter.addSubtask('Loading configuration');
+    const loaded = await loadConfig({
+      cwd,
+      repoPath,
+      configPath,
+      overrides
+    });
+    config = loaded.config;
+    for (const configSource of loaded.sources) {
+      reporter.info(`Using config: ${configSource}`);
+    }
+    for (const warning of loaded.warnings) {
+      reporter.warn(warning);
     }
+    reporter.completeSubtask('Loading configuration');
 
-    // if (isLockFile) {
-    //   console.log(`Exclude decision: ${shouldExclude ? 'YES' : 'NO'}`);
-    // }
+    let plugins;
+    ({
+      config,
+      plugins
+    } = await setupPlugins(config, extraPlugins, cwd, reporter));
 
-    if (file.isDirectory()) {
-      if (!shouldExclude) {
-        results.push(...await scanDirectory(fullPath));
-      }
-    } else if (!shouldExclude && config.textFileExtensions.some(ext => file.name.toLowerCase().endsWith(ext))) {
-      if (isLockFile) {
-        console.log(`Adding to results: ${fullPath}`);
+    const outputDir = typeof options.outputDir === 'function'
+      ? options.outputDir({ repository, config })
+      : options.outputDir;
+
+    // Scan repository, skipping our own output when documenting the current directory
+    reporter.addSubtask('Scanning files');
+    const skippedFiles = [];
+    const files = await scanDirectory(repoPath, config, [...skipPaths, outputDir, tempRoot].filter(Boolean), skippedFiles);
+    reportSkippedFiles(skippedFiles, reporter);
+    reporter.completeSubtask('Scanning files');
+
+    const cache = cacheDir && config.cache
+      ? await AnalysisCache.load(join(cacheDir, `${username}-${repoName}.json`), await analyzerFingerprint(plugins))
+      : null;
+
+    // Generate documentation
+    reporter.addSubtask('Generating documentation');
+    const result = await generateDocuments(files, repoPath, {
+      repository,
+      revision,
+      config,
+      skippedFiles,
+      plugins,
+      cache,
+      reporter
+    });
+    reporter.completeSubtask('Generating documentation');
+
+    const output = await writeOutput(result, {
+      writer,
+      outputDir,
+      manifestDir: options.manifestDir,
+      format: config.format,
+      bundle: config.format === 'markdown' && config.singleFile,
+      reuse: config.cache,
+      reporter
+    });
+
+    reporter.finish();
+    return {
+      repository,
+      config,
+      files,
+      ...result,
+      output,
+      outputDir: writer ? null : outputDir || null
+    };
+  } catch (error) {
+    reporter.error('Analysis failed');
+    throw error;
+  } finally {
+    // Cleanup the run's own clone only, never a local source nor the rest of the temp directory
+    if (runPath) {
+      try {
+        reporter.addSubtask('Cleaning up');
+        await fs.rm(runPath, {
+          recursive: true,
+          force: true
+        });
+        reporter.completeSubtask('Cleaning up');
+      } catch (error) {
+        reporter.warn('Cleanup failed');
       }
-      results.push(fullPath);
     }
   }
-
-  return results;
 }
 
+// Clones and checkouts of one run go in a directory of their own under `tempDir`, so removing it afterwards
+// leaves alone whatever else is there, including the directories of concurrent runs
+async function createRunDirectory(cwd, config) {
+  const tempRoot = resolve(cwd, config.tempDir);
+  await fs.mkdir(tempRoot, {
+    recursive: true
+  });
+  return fs.mkdtemp(join(tempRoot, 'g2c-'));
+}
 
+// How a ref appears in directory names: commits by their short SHA, anything else made filename-safe
+function refLabel(ref, commit) {
+  return isCommitSha(ref) ? commit.slice(0, 7) : ref.replace(/[^\w.-]+/g, '-');
+}
 
+// Programmatic entry point for the changes from `base` to `head` of `source`: the changed files with their diffs
+// and symbol changes, and the files that import them for context. Takes the options of analyzeRepository except
+// `ref` and `skipPaths`. Local repositories are read without touching their working tree.
+export async function analyzeChanges(options = {}) {
+  const {
+    source,
+    base,
+    head,
+    configPath,
+    config: overrides,
+    writer,
+    progress: reporter = progress,
+    cwd = process.cwd(),
+    cacheDir,
+    plugins: extraPlugins = []
+  } = options;
+
+  if (!source || !base || !head) {
+    throw new Error('analyzeChanges: "source", "base" and "head" are required');
+  }
 
-function extractRepoInfo(url) {
-  const parts = url.split('/');
-  const username = parts[parts.length - 2];
-  const repoWithGit = parts[parts.length - 1];
-  const repoName = repoWithGit.replace('.git', '');
-  return {
+  const {
+    type,
+    location,
     username,
     repoName
-  };
+  } = await resolveSource(source);
+
+  let {
+    config
+  } = await loadConfig({
+    cwd,
+    configPath,
+    overrides
+  });
+  let runPath = null;
+
+  try {
+    reporter.start('Change Analysis');
+    runPath = await createRunDirectory(cwd, config);
+    const gitPath = type === 'local' ? location : join(runPath, repoName);
+
+    // Remote repositories are cloned with their history; blobs are fetched as the comparison needs them
+    if (type !== 'local') {
+      reporter.addSubtask('Cloning repository');
+      await cloneHistory(location, gitPath);
+      reporter.completeSubtask('Cloning repository');
+    }
+
+    reporter.addSubtask('Resolving refs');
+    if (!await simpleGit(gitPath).checkIsRepo().catch(() => false)) {
+      throw new Error(`Not a Git repository: ${gitPath}`);
+    }
+    const baseCommit = await resolveCommit(gitPath, base);
+    const headCommit = await resolveCommit(gitPath, head);
+    // Like a pull request, head is compared with the point it branched off base
+    const mergeBase = await findMergeBase(gitPath, baseCommit, headCommit);
+    const repository = {
+      owner: username,
+      name: repoName,
+      version: `${refLabel(base, baseCommit)}..${refLabel(head, headCommit)}`,
+      ref: `${base}..${head}`,
+      commit: headCommit,
+      base: {
+        ref: base,
+        commit: baseCommit,
+        mergeBase
+      },
+      head: {
+        ref: head,
+        commit: headCommit
+      }
+    };
+    reporter.completeSubtask('Resolving refs');
+
+    // Dependents are looked up in the whole tree as it is at head
+    reporter.addSubtask('Checking out head');
+    const repoPath = join(runPath, `${repoName}@${headCommit.slice(0, 7)}`);
+    await checkoutTree(gitPath, headCommit, repoPath);
+    reporter.completeSubtask('Checking out head');
+
+    reporter.addSubtask('Loading configuration');
+    const loaded = await loadConfig({
+      cwd,
+      repoPath,
+      configPath,
+      overrides
+    });
+    config = loaded.config;
+    for (const configSource of loaded.sources) {
+      reporter.info(`Using config: ${configSource}`);
+    }
+    for (const warning of loaded.warnings) {
+      reporter.warn(warning);
+    }
+    reporter.completeSubtask('Loading configuration');
+
+    if (config.format !== 'markdown') {
+      throw new Error(`Changes are documented as markdown only, not as ${config.format}`);
+    }
+
+    let plugins;
+    ({
+      config,
+      plugins
+    } = await setupPlugins(config, extraPlugins, cwd, reporter));
+
+    const outputDir = typeof options.outputDir === 'function'
+      ? options.outputDir({ repository, config })
+      : options.outputDir;
+
+    reporter.addSubtask('Scanning files');
+    const skippedFiles = [];
+    const files = await scanDirectory(repoPath, config, [], skippedFiles);
+    reportSkippedFiles(skippedFiles, reporter);
+    reporter.completeSubtask('Scanning files');
+
+    const cache = cacheDir && config.cache
+      ? await AnalysisCache.load(join(cacheDir, `${username}-${repoName}.json`), await analyzerFingerprint(plugins))
+      : null;
+    const analyzer = new CodeAnalyzer({
+      progress: reporter,
+      plugins
+    });
+    const analyses = await analyzeFiles(files, repoPath, {
+      analyzer,
+      cache,
+      jobs: config.jobs,
+      redact: config.redactSecrets,
+      skipped: skippedFiles,
+      reporter
+    });
+
+    reporter.addSubtask('Building dependency graph');
+    const dependencyGraph = await analyzer.buildDependencyGraph(analyses, {
+      root: repoPath
+    });
+    reporter.completeSubtask('Building dependency graph');
+
+    if (plugins) {
+      reporter.addSubtask('Annotating files');
+      await plugins.annotate(analyses, {
+        basePath: repoPath,
+        analyses,
+        dependencyGraph
+      }, reporter);
+      reporter.completeSubtask('Annotating files');
+    }
+
+    reporter.addSubtask('Comparing revisions');
+    const changes = await describeChanges(gitPath, mergeBase, headCommit, repoPath, {
+      config,
+      analyses,
+      analyzer
+    });
+    const dependents = findDependents(changes, dependencyGraph, repoPath);
+    reporter.info(`${changes.length} changed file(s), ${dependents.length} dependent file(s)`);
+    reporter.completeSubtask('Comparing revisions');
+
+    reporter.addSubtask('Generating documentation');
+    const repoFullName = `${username}--${repoName}@${repository.version}`;
+    const generatedAt = new Date().toISOString();
+    const generator = new DiffGenerator(repoName, repoPath, {
+      maxTokens: config.maxTokens,
+      detail: config.detail,
+      detailPaths: config.detailPaths,
+      base: repository.base,
+      head: repository.head,
+      redactSecrets: config.redactSecrets,
+      skippedFiles,
+      generatedAt,
+      plugins,
+      progress: reporter
+    });
+    const sections = await generator.generateDiffSections(changes, analyses, dependencyGraph, dependents);
+    let documents;
+    if (config.singleFile) {
+      documents = [{
+        filename: `${repoFullName}.md`,
+        content: sections.map(section => section.content).join('\n\n')
+      }];
+    } else {
+      const packed = generator.packDocuments(sections);
+      documents = [{
+        filename: `${repoFullName}__README.md`,
+        content: await generator.generateIndex(packed, repoFullName)
+      }, ...packed];
+    }
+    reporter.completeSubtask('Generating documentation');
+
+    const result = {
+      changes,
+      dependents,
+      skippedFiles,
+      analyses,
+      dependencyGraph,
+      documents,
+      generatedAt,
+      cache: cache ? {
+        reused: cache.reused,
+        analyzed: cache.analyzed
+      } : null
+    };
+    const output = await writeOutput(result, {
+      writer,
+      outputDir,
+      manifestDir: options.manifestDir,
+      format: 'diff',
+      bundle: config.singleFile,
+      reuse: config.cache,
+      reporter
+    });
+
+    reporter.finish();
+    return {
+      repository,
+      config,
+      files,
+      ...result,
+      output,
+      outputDir: writer ? null : outputDir || null
+    };
+  } catch (error) {
+    reporter.error('Analysis failed');
+    throw error;
+  } finally {
+    // The head checkout (and a clone) live in the run directory; a local source is never touched
+    if (runPath) {
+      try {
+        await fs.rm(runPath, {
+          recursive: true,
+          force: true
+        });
+      } catch (error) {
+        reporter.warn('Cleanup failed');
+      }
+    }
+  }
+}
+
+function reportSkippedFiles(skippedFiles, reporter) {
+  const secretFiles = skippedFiles.filter(skipped => skipped.reason === 'secret');
+  if (secretFiles.length > 0) {
+    reporter.info(`Left out ${secretFiles.length} secret file(s), such as .env files and private keys`);
+  }
+
+  const counts = new Map();
+  for (const { reason } of skippedFiles) {
+    if (reason !== 'secret') counts.set(reason, (counts.get(reason) || 0) + 1);
+  }
+  if (counts.size > 0) {
+    reporter.info(`Skipped ${[...counts].map(([reason, count]) => `${count} ${reason}`).join(', ')} file(s)`);
+  }
 }
 
-export async function executeCodeAnalysis(repoUrl) {
+// Changed files the scan configuration covers, with both revisions analyzed and their declarations compared
+async function describeChanges(gitPath, base, head, repoPath, { config, analyses, analyzer }) {
+  const changes = [];
+  for (const change of await listChanges(gitPath, base, head)) {
+    const filePath = join(repoPath, change.path || change.oldPath);
+    const included = change.path ? analyses.has(filePath) : matchesScanConfig(change.oldPath, config);
+    if (!included) continue;
+
+    const before = change.oldPath
+      ? await analyzeRevision(join(repoPath, change.oldPath), await readFileAt(gitPath, base, change.oldPath), { config, analyzer })
+      : null;
+    const after = change.path ? analyses.get(filePath) : null;
+    const diff = await unifiedDiff(gitPath, base, head, change);
+    changes.push({
+      ...change,
+      filePath,
+      before,
+      after,
+      diff: config.redactSecrets ? redactDiff(diff, filePath) : diff,
+      symbols: diffSymbols(before, after)
+    });
+  }
+  return changes;
+}
+
+// A file as it was at another revision, redacted like the files of the checkout
+async function analyzeRevision(filePath, content, { config, analyzer }) {
+  if (!config.redactSecrets) {
+    return analyzer.analyzeContent(filePath, content);
+  }
+  const redacted = redactSecrets(content, filePath);
+  const analysis = await analyzer.analyzeContent(filePath, redacted.content);
+  return redacted.redactions.length > 0 ? {
+    ...analysis,
+    redactions: redacted.redactions
+  } : analysis;
+}
+
+// The paths an import that no longer resolves records for `file`: the file itself, without its extension,
+// and for an index file its directory
+function unresolvedImportPaths(file) {
+  const stripped = file.slice(0, file.length - extname(file).length);
+  return basename(stripped) === 'index' ? [file, stripped, dirname(stripped)] : [file, stripped];
+}
+
+// Unchanged files that import a changed file, with the changed files they import. Imports of deleted or
+// renamed files no longer resolve at head, so they are matched by the path they point to.
+function findDependents(changes, dependencyGraph, repoPath) {
+  const changedFiles = new Map();
+  for (const change of changes) {
+    for (const changedPath of [change.path, change.oldPath].filter(Boolean)) {
+      changedFiles.set(join(repoPath, changedPath), changedPath);
+    }
+  }
+
+  const dependents = new Map();
+  for (const [file, changedPath] of changedFiles) {
+    const targets = unresolvedImportPaths(file);
+    const importers = dependencyGraph.get(file)?.dependedOnBy
+      || [...dependencyGraph].filter(([, node]) => node.dependencies.some(dep => targets.includes(dep))).map(([importer]) => importer);
+    for (const importer of importers.filter(importer => !changedFiles.has(importer))) {
+      dependents.set(importer, [...new Set([...(dependents.get(importer) || []), changedPath])]);
+    }
+  }
+  return [...dependents]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, imports]) => ({
+      file,
+      imports
+    }));
+}
+
+export async function executeCodeAnalysis(source, options = {}) {
+  const {
+    ref,
+    configPath,
+    overrides,
+    reporter = progress
+  } = options;
   const {
     username,
     repoName
-  } = extractRepoInfo(repoUrl);
-  const git = simpleGit();
+  } = await resolveSource(source);
 
-  // Use current working directory 
+  // Use current working directory; the output location can only come from local config
   const cwd = process.cwd();
-  const tempPath = join(cwd, config.tempDir, repoName);
+  const {
+    config
+  } = await loadConfig({
+    cwd,
+    configPath,
+    overrides
+  });
 
   // Create directory name with username and repo
   const outputDirName = `g2c__${username}-${repoName}`;
   const outputPath = join(cwd, config.outputDir, outputDirName);
+  const cacheDir = join(cwd, config.cacheDir);
+
+  const result = await analyzeRepository({
+    source,
+    ref,
+    configPath,
+    config: overrides,
+    cwd,
+    outputDir: ({ repository }) => join(outputPath, repository.version),
+    manifestDir: outputPath,
+    cacheDir,
+    skipPaths: [outputPath, cacheDir],
+    progress: reporter
+  });
 
-  try {
-    progress.start('Repository Analysis');
+  reporter.summary(`Documentation generated in: ${result.outputDir}`, {
+    outputDir: result.outputDir,
+    files: result.documents.map(document => document.filename),
+    cache: result.cache,
+    output: result.output
+  });
+  return result;
+}
 
-    // Initialize directories
-    progress.addSubtask('Creating directories');
-    await fs.mkdir(join(cwd, config.tempDir), {
-      recursive: true
-    });
-    await fs.mkdir(outputPath, {
-      recursive: true
-    });
-    progress.completeSubtask('Creating directories');
+// Documents the changes from `base` to `head`, written next to the regular output as g2c__username-repository/base..head
+export async function executeDiffAnalysis(source, base, head, options = {}) {
+  const {
+    configPath,
+    overrides,
+    reporter = progress
+  } = options;
+  const {
+    username,
+    repoName
+  } = await resolveSource(source);
 
-    // Clone repository
-    progress.addSubtask('Cloning repository');
-    await git.clone(repoUrl, tempPath);
-    progress.completeSubtask('Cloning repository');
+  const cwd = process.cwd();
+  const {
+    config
+  } = await loadConfig({
+    cwd,
+    configPath,
+    overrides
+  });
+  const outputPath = join(cwd, config.outputDir, `g2c__${username}-${repoName}`);
+
+  const result = await analyzeChanges({
+    source,
+    base,
+    head,
+    configPath,
+    config: overrides,
+    cwd,
+    outputDir: ({ repository }) => join(outputPath, repository.version),
+    manifestDir: outputPath,
+    cacheDir: join(cwd, config.cacheDir),
+    progress: reporter
+  });
 
-    // Get version information
-    progress.addSubtask('Getting version information');
-    let version = 'latest';
-    try {
-      const packageJsonPath = join(tempPath, 'package.json');
-      const packageJsonExists = await fs.access(packageJsonPath)
-        .then(() => true)
-        .catch(() => false);
-
-      if (packageJsonExists) {
-        const packageJson = JSON.parse(
-          await fs.readFile(packageJsonPath, 'utf-8')
-        );
-        version = packageJson.version || 'latest';
-      } else {
-        // Try to get latest git tag
-        const tags = await git.cwd(tempPath).tags();
-        if (tags.latest) {
-          version = tags.latest;
-        }
-      }
-    } catch (error) {
-      progress.warn('Could not determine version, using "latest"');
-    }
-    progress.completeSubtask('Getting version information');
+  reporter.summary(`Change documentation generated in: ${result.outputDir}`, {
+    outputDir: result.outputDir,
+    files: result.documents.map(document => document.filename),
+    changes: result.changes.length,
+    dependents: result.dependents.length,
+    cache: result.cache,
+    output: result.output
+  });
+  return result;
+}
 
-    // Create final output path with version
-    const versionedOutputPath = join(outputPath, version);
-    await fs.mkdir(versionedOutputPath, {
-      recursive: true
-    });
+// Reuses the analysis of a file whose path and content are unchanged since an earlier run. Secrets are
+// redacted before the content is analyzed, so the cache is keyed and filled with redacted content only.
+async function analyzeWithCache(analyze, cache, file, repoPath, redact) {
+  const original = cache || redact ? await fs.readFile(file, 'utf-8').catch(() => null) : null;
+  if (original === null) {
+    return analyze(file);
+  }
 
-    // Scan repository
-    progress.addSubtask('Scanning files');
-    const files = await scanDirectory(tempPath);
-    progress.completeSubtask('Scanning files');
+  const {
+    content,
+    redactions
+  } = redact ? redactSecrets(original, file) : {
+    content: original,
+    redactions: []
+  };
+  const withRedactions = analysis => (redactions.length > 0 ? {
+    ...analysis,
+    redactions
+  } : analysis);
+  if (!cache) {
+    return withRedactions(await analyze(file, content));
+  }
 
-    // Generate documentation
-    progress.addSubtask('Generating documentation');
-    await generateMarkdownFiles(files, repoName, tempPath, versionedOutputPath, {
-      username,
-      version
+  const key = cache.keyFor(relative(repoPath, file), content);
+  const cached = cache.get(key);
+  if (cached) {
+    return withRedactions({
+      ...cached,
+      content
     });
-    progress.completeSubtask('Generating documentation');
+  }
+  const analysis = await analyze(file, content);
+  cache.set(key, analysis);
+  return withRedactions(analysis);
+}
 
-    progress.finish();
-    console.log(chalk.green(`\nDocumentation generated in: ${versionedOutputPath}`));
-  } catch (error) {
-    progress.error('Analysis failed');
-    throw error;
-  } finally {
-    // Cleanup temp directory only
+// Files are parsed by a pool of `jobs` worker threads, with a few files in flight per worker so reading
+// and parsing overlap. Small repositories, and files a plugin analyzer handles, stay in the main thread.
+// Analyses keep the order of `files` whatever order they finish in. Files whose analysis fails are added to
+// `skipped`, so the documentation lists them.
+async function analyzeFiles(files, repoPath, { analyzer, cache, jobs = 1, redact = false, skipped = [], reporter }) {
+  const workers = Math.min(jobs, Math.ceil(files.length / MIN_FILES_PER_WORKER));
+  const pool = workers > 1
+    ? new WorkerPool(ANALYSIS_WORKER, workers, {
+      onMessage: message => message.type === 'warn' && reporter.warn(message.message, message.details)
+    })
+    : null;
+
+  const analyzeHere = (file, content) => (content === undefined
+    ? analyzer.analyzeFile(file)
+    : analyzer.analyzeContent(file, content));
+  const analyze = async (file, content) => {
+    if (!pool || analyzer.plugins?.getAnalyzer(file)) {
+      return analyzeHere(file, content);
+    }
     try {
-      progress.addSubtask('Cleaning up');
-      await fs.rm(join(cwd, config.tempDir), {
-        recursive: true,
-        force: true
+      const analysis = await pool.run({
+        filePath: file,
+        content
       });
-      progress.completeSubtask('Cleaning up');
+      return content === undefined ? analysis : {
+        ...analysis,
+        content
+      };
     } catch (error) {
-      progress.warn('Cleanup failed');
+      reporter.warn(`Worker failed on ${file}: ${error.message}; analyzing it in the main thread`, {
+        file
+      });
+      return analyzeHere(file, content);
+    }
+  };
+
+  const results = new Array(files.length);
+  let next = 0;
+  let done = 0;
+  const analyzeNext = async () => {
+    while (next < files.length) {
+      const index = next++;
+      const file = files[index];
+      try {
+        results[index] = await analyzeWithCache(analyze, cache, file, repoPath, redact);
+      } catch (error) {
+        reporter.warn(`Could not analyze ${file}: ${error.message}`, {
+          file
+        });
+        skipped.push({
+          path: file,
+          reason: 'failed'
+        });
+      }
+      reporter.update('Analyzing files', ++done, files.length);
     }
+  };
+
+  reporter.addSubtask('Analyzing files');
+  try {
+    await Promise.all(Array.from({
+      length: pool ? workers * FILES_IN_FLIGHT_PER_WORKER : 1
+    }, analyzeNext));
+  } finally {
+    await pool?.close();
   }
-}
 
-async function generateMarkdownFiles(files, repoName, tempPath, outputPath, info) {
-  const {
-    username,
-    version
-  } = info;
-  const repoFullName = `${username}--${repoName}@${version}`;
-  const analyzer = new CodeAnalyzer();
   const analyses = new Map();
-
-  // Analyze files
-  progress.addSubtask('Analyzing files');
   for (const [index, file] of files.entries()) {
+    if (results[index]) analyses.set(file, results[index]);
+  }
+  // Saved before plugins annotate the analyses, so annotations are never cached
+  if (cache) {
     try {
-      progress.update('Analyzing files', index + 1, files.length);
-      const analysis = await analyzer.analyzeFile(file);
-      analyses.set(file, analysis);
+      await cache.save();
     } catch (error) {
-      progress.warn(`Could not analyze ${file}`);
+      reporter.warn(`Could not save the analysis cache: ${error.message}`);
     }
+    reporter.info(`Reused ${cache.reused} cached analyses, analyzed ${cache.analyzed} new or changed file(s)`);
   }
-  progress.completeSubtask('Analyzing files');
+  if (redact) {
+    const redacted = [...analyses.values()].filter(analysis => analysis.redactions);
+    const total = redacted.reduce((sum, analysis) => sum + analysis.redactions.length, 0);
+    reporter.info(`Redacted ${total} secret(s) in ${redacted.length} file(s)`);
+  }
+  reporter.completeSubtask('Analyzing files');
+  return analyses;
+}
+
+async function generateDocuments(files, repoPath, info) {
+  const {
+    repository,
+    revision,
+    config,
+    skippedFiles,
+    plugins,
+    cache,
+    reporter
+  } = info;
+  const repoFullName = `${repository.owner}--${repository.name}@${repository.version}`;
+  const generatedAt = new Date().toISOString();
+  const analyzer = new CodeAnalyzer({
+    progress: reporter,
+    plugins
+  });
+  const analyses = await analyzeFiles(files, repoPath, {
+    analyzer,
+    cache,
+    jobs: config.jobs,
+    redact: config.redactSecrets,
+    skipped: skippedFiles,
+    reporter
+  });
 
   // Build dependency graph
-  progress.addSubtask('Building dependency graph');
-  const dependencyGraph = await analyzer.buildDependencyGraph(analyses);
-  progress.completeSubtask('Building dependency graph');
+  reporter.addSubtask('Building dependency graph');
+  const dependencyGraph = await analyzer.buildDependencyGraph(analyses, {
+    root: repoPath
+  });
+  reporter.completeSubtask('Building dependency graph');
+
+  // Annotations are part of the analysis, so they reach every output format
+  if (plugins) {
+    reporter.addSubtask('Annotating files');
+    await plugins.annotate(analyses, {
+      basePath: repoPath,
+      analyses,
+      dependencyGraph
+    }, reporter);
+    reporter.completeSubtask('Annotating files');
+  }
 
-  // Generate content sections
-  progress.addSubtask('Generating content sections');
-  const generator = new MarkdownGenerator(repoName, tempPath);
-  const sections = await generator.generateSections(files, analyses, dependencyGraph);
-  progress.completeSubtask('Generating content sections');
-
-  // Create index file
-  progress.addSubtask('Creating documentation files');
-  const indexContent = await generator.generateIndex(sections, repoFullName);
-  await fs.writeFile(join(outputPath, `${repoFullName}__README.md`), indexContent);
-
-  // Generate meaningful names for sections
-  const sectionFiles = sections.map(section => {
-    const titleMatch = section.match(/^## [^#\n]*/m);
-    if (titleMatch) {
-      const title = titleMatch[0].replace('## ', '').trim();
-      const sanitizedTitle = title
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-+|-+$/g, '');
-      return {
-        content: section,
-        filename: `${sanitizedTitle}.md`
-      };
-    }
+  const model = buildAnalysisModel({
+    repository,
+    basePath: repoPath,
+    files,
+    analyses,
+    dependencyGraph,
+    skippedFiles,
+    generatedAt
+  });
+  const result = {
+    skippedFiles,
+    analyses,
+    dependencyGraph,
+    model,
+    generatedAt,
+    cache: cache ? {
+      reused: cache.reused,
+      analyzed: cache.analyzed
+    } : null
+  };
+
+  // Structured formats export the analysis model itself instead of rendering markdown
+  if (config.format !== 'markdown') {
+    const content = config.format === 'json' ? serializeJSON(model) : serializeXML(model);
     return {
-      content: section,
-      filename: `part-${String(sections.indexOf(section) + 1).padStart(2, '0')}.md`
+      ...result,
+      documents: [{
+        filename: `${repoFullName}.analysis.${config.format}`,
+        content
+      }]
     };
+  }
+
+  const generator = new MarkdownGenerator(repository.name, repoPath, {
+    ref: repository.ref,
+    revision,
+    maxTokens: config.maxTokens,
+    bundleMaxTokens: config.bundleMaxTokens,
+    detail: config.detail,
+    detailPaths: config.detailPaths,
+    diagrams: config.diagrams,
+    redactSecrets: config.redactSecrets,
+    skippedFiles,
+    generatedAt,
+    plugins,
+    progress: reporter
   });
 
-  // Write section files
-  for (const [index, section] of sectionFiles.entries()) {
-    progress.update('Writing documentation files', index + 1, sectionFiles.length);
-    const filePath = join(outputPath, section.filename);
-    await fs.writeFile(filePath, section.content);
+  // Single-file mode renders everything into one bundle instead of separate sections
+  if (config.singleFile) {
+    reporter.addSubtask('Creating documentation bundle');
+    const bundle = await generator.generateBundle(files, analyses, dependencyGraph, repoFullName);
+    if (bundle.omitted.length > 0) {
+      reporter.warn(`Omitted ${bundle.omitted.length} lower-priority file(s) to fit the token budget`);
+    }
+    reporter.completeSubtask('Creating documentation bundle');
+    return {
+      ...result,
+      documents: [bundle]
+    };
   }
-  progress.completeSubtask('Creating documentation files');
+
+  // Generate content sections
+  reporter.addSubtask('Generating content sections');
+  const sections = await generator.generateSections(files, analyses, dependencyGraph);
+  reporter.completeSubtask('Generating content sections');
+
+  // Pack sections into token-budgeted documents, listed in an index file
+  const documents = generator.packDocuments(sections);
+  const indexContent = await generator.generateIndex(documents, repoFullName);
+
+  return {
+    ...result,
+    documents: [{
+      filename: `${repoFullName}__README.md`,
+      content: indexContent
+    }, ...documents]
+  };
 }
 
 export {
   CodeAnalyzer,
-  MarkdownGenerator
-};
\ No newline at end of file
+  MarkdownGenerator,
+  defaultConfig
+};
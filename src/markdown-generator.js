@@ -1,12 +1,52 @@
 // src/markdown-generator.js
 import fs from 'fs/promises';
 import path from 'path';
+import ignore from 'ignore';
+import { hashContent } from './analysis-cache.js';
+import { createSkeleton } from './analyzers/skeleton.js';
+import { createDirectoryDiagrams, createModuleDiagram, renderDiagram } from './dependency-diagram.js';
+import { analyzeGraphHealth } from './graph-health.js';
 import progress from './progress-util.js';
+import { estimateTokens, formatTokens } from './token-util.js';
+
+const DEFAULT_MAX_TOKENS = 30000;
+// Headroom kept in every document for section headings and wrapper tags
+const SECTION_OVERHEAD_TOKENS = 200;
+// Never split code into pieces smaller than this, however large the analysis header is
+const MIN_CHUNK_TOKENS = 1000;
+// Items listed per Graph Health list; the rest are counted
+const MAX_HEALTH_ITEMS = 50;
+// Why the scan left a file out, as listed under Skipped Files
+const SKIP_REASONS = {
+    secret: 'holds credentials',
+    vendored: 'third-party code',
+    binary: 'binary content',
+    unsupported: 'file type not documented',
+    generated: 'generated by a tool',
+    minified: 'minified',
+    unreadable: 'could not be read',
+    failed: 'could not be analyzed'
+};
+// Skipped paths listed one by one; the rest are counted by directory and reason
+const MAX_SKIPPED_ITEMS = 50;
 
 class MarkdownGenerator {
-    constructor(repoName, basePath) {
+    constructor(repoName, basePath, options = {}) {
         this.repoName = repoName;
         this.basePath = basePath;
+        this.options = {
+            maxTokens: DEFAULT_MAX_TOKENS,
+            diagrams: 'mermaid',
+            ...options
+        };
+        this.progress = options.progress || progress;
+        this.plugins = options.plugins || null;
+        // Per-path detail levels, matched like .gitignore patterns; the last matching pattern wins
+        this.detailPatterns = Object.entries(options.detailPaths || {}).map(([pattern, detail]) => ({
+            matcher: ignore().add(pattern),
+            detail
+        }));
+        this.skeletons = new Map();
         this.content = [];
         this.treeContent = [];
         this.componentMap = new Map();
@@ -17,40 +57,65 @@ class MarkdownGenerator {
 
         try {
             // Add overview section
-            progress.addSubtask('Generating overview');
-            sections.push(await this.generateOverviewSection());
-            progress.completeSubtask('Generating overview');
+            this.progress.addSubtask('Generating overview');
+            sections.push(this.createSection('Overview', 'overview', await this.generateOverviewSection()));
+            this.progress.completeSubtask('Generating overview');
 
             // Add architecture section
-            progress.addSubtask('Analyzing architecture');
-            sections.push(await this.generateArchitectureSection(analyses, dependencyGraph));
-            progress.completeSubtask('Analyzing architecture');
+            this.progress.addSubtask('Analyzing architecture');
+            sections.push(this.createSection(
+                'Architecture Overview',
+                'architecture',
+                await this.generateArchitectureSection(analyses, dependencyGraph)
+            ));
+            this.progress.completeSubtask('Analyzing architecture');
+
+            // Structural problems come right after the architecture, before any file is read
+            sections.push(this.createSection('Graph Health', 'health', this.generateGraphHealthSection(analyses, dependencyGraph)));
+            if (this.options.redactSecrets) {
+                sections.push(this.createSection('Redactions', 'redactions', this.generateRedactionSection(this.listRedactions(files, analyses))));
+            }
+
+            // Sections contributed by plugins follow the architecture overview
+            for (const { title, content } of await this.generatePluginSections(files, analyses, dependencyGraph)) {
+                sections.push(this.createSection(title, 'plugin', content));
+            }
 
             // Group files by directory
             const filesByDirectory = this.groupFilesByDirectory(files);
+            const diagrams = this.formatDirectoryDiagrams(dependencyGraph);
 
             // Generate sections for each directory
-            progress.addSubtask('Processing directories');
+            this.progress.addSubtask('Processing directories');
             let dirCount = 0;
             for (const [directory, directoryFiles] of filesByDirectory) {
-                progress.update('Processing directories', ++dirCount, filesByDirectory.size);
-                sections.push(await this.generateDirectorySection(directory, directoryFiles, analyses, dependencyGraph));
+                this.progress.update('Processing directories', ++dirCount, filesByDirectory.size);
+                sections.push(...await this.generateDirectorySections(directory, directoryFiles, analyses, dependencyGraph, diagrams));
             }
-            progress.completeSubtask('Processing directories');
+            this.progress.completeSubtask('Processing directories');
 
             return sections;
         } catch (error) {
-            progress.error(`Error generating sections: ${error.message}`);
+            this.progress.error(`Error generating sections: ${error.message}`);
             throw error;
         }
     }
 
     async generateOverviewSection() {
+        const { ref, revision } = this.options;
+        let snapshotInfo = '';
+        if (ref) {
+            snapshotInfo += `Ref: ${ref}\n`;
+        }
+        if (revision) {
+            snapshotInfo += `Commit: ${revision.commit}${revision.dirty ? ' (with uncommitted changes)' : ''}\n`;
+        }
+
         return `# ${this.repoName} Code Documentation
 
 <repository_overview>
 Repository Name: ${this.repoName}
-Analysis Date: ${new Date().toISOString()}
+${snapshotInfo}Analysis Date: ${this.options.generatedAt || new Date().toISOString()}
 Analysis Type: LLM-Optimized Documentation
 
 ## Purpose
@@ -70,70 +135,290 @@ appropriately for processing with Large Language Models like Claude.
 
     async generateArchitectureSection(analyses, dependencyGraph) {
         const components = await this.identifyMainComponents(analyses);
-        const flows = await this.analyzeDataFlows(dependencyGraph);
         const dependencies = await this.analyzeKeyDependencies(dependencyGraph);
 
+        let moduleDependencies = '';
+        if (this.options.diagrams !== 'none') {
+            const diagram = createModuleDiagram(dependencyGraph, this.basePath);
+            moduleDependencies = `\n### Module Dependencies\n${diagram
+                ? `How directories depend on each other; edge labels count the file imports behind an arrow.\n\n${renderDiagram(diagram, this.options.diagrams)}`
+                : 'No dependencies between directories were found.\n'}`;
+        }
+
         return `## Architecture Overview
 
 <architecture_analysis>
 ### Core Components
 ${components.map(comp => `- ${comp.name}: ${comp.description}`).join('\n')}
-
-### Data Flow Patterns
-${flows.map(flow => `- ${flow}`).join('\n')}
-
+${moduleDependencies}
 ### Key Dependencies
 ${dependencies}
 </architecture_analysis>
 `;
     }
 
-    async generateDirectorySection(directory, files, analyses, dependencyGraph) {
-        const relativePath = path.relative(this.basePath, directory);
-        let section = `## Directory: ${relativePath || 'Root'}
+    generateGraphHealthSection(analyses, dependencyGraph) {
+        const health = analyzeGraphHealth(analyses, dependencyGraph, this.basePath);
+        const relative = file => path.relative(this.basePath, file);
+        const list = (items, format, empty) => {
+            if (items.length === 0) return `${empty}\n`;
+            const more = items.length > MAX_HEALTH_ITEMS ? `\n- ... and ${items.length - MAX_HEALTH_ITEMS} more` : '';
+            return items.slice(0, MAX_HEALTH_ITEMS).map(item => `- ${format(item)}`).join('\n') + more + '\n';
+        };
+
+        return `## Graph Health
+
+<graph_health>
+${health.cycles.length} import cycle(s), ${health.orphans.length} orphan module(s) and ${health.unresolvedImports.length} unresolved local import(s) among ${dependencyGraph.size} files.
+
+### Import Cycles
+Files that import each other, directly or through other files. One cycle is shown per group; the group lists every file involved.
+${list(health.cycles, cycle => `${cycle.path.map(relative).join(' → ')}${cycle.files.length > cycle.path.length - 1 ? ` (${cycle.files.length} files: ${cycle.files.map(relative).join(', ')})` : ''}`, 'No import cycles found.')}
+### Entry Points
+Files that are run rather than imported: declared in package.json, named like entry points or tests, or with a main function.
+${list(health.entryPoints, relative, 'No entry points found.')}
+### Orphan Modules
+Source files that no entry point imports, directly or through other files.
+${list(health.orphans, relative, 'No orphan modules found.')}
+### Unresolved Imports
+Local imports that match no analyzed file.
+${list(health.unresolvedImports, ({ from, to }) => `${relative(from)} → ${relative(to)}`, 'All local imports resolved.')}</graph_health>
+`;
+    }
 
-<directory_analysis>
-This directory contains ${files.length} file(s).\n\n`;
+    listRedactions(files, analyses) {
+        return files
+            .filter(file => analyses.get(file)?.redactions?.length > 0)
+            .map(file => ({
+                label: path.relative(this.basePath, file),
+                redactions: analyses.get(file).redactions
+            }));
+    }
+
+    // Where secrets were replaced, by file and line, and which files were left out; never the values themselves
+    generateRedactionSection(redactedFiles) {
+        const skippedFiles = (this.options.skippedFiles || []).filter(skipped => skipped.reason === 'secret');
+        const total = redactedFiles.reduce((sum, { redactions }) => sum + redactions.length, 0);
+        const redacted = redactedFiles.length > 0
+            ? redactedFiles.map(({ label, redactions }) =>
+                `- ${label}: ${redactions.map(({ line, type }) => `line ${line} (${type})`).join(', ')}`
+            ).join('\n') + '\n'
+            : 'No secrets found.\n';
+        const skipped = skippedFiles.length > 0
+            ? skippedFiles.map(skipped => `- ${path.relative(this.basePath, skipped.path)}`).join('\n') + '\n'
+            : 'No files left out.\n';
+
+        return `## Redactions
+
+<redactions>
+${total} secret(s) in ${redactedFiles.length} file(s) were replaced with [REDACTED:type] placeholders before this documentation was written, and ${skippedFiles.length} secret file(s) were left out.
+
+### Redacted Values
+${redacted}
+### Skipped Files
+Files that hold credentials as a whole, such as .env files and private keys.
+${skipped}</redactions>
+`;
+    }
+
+    // Every file and vendored directory left out, with the reason, so their absence is not mistaken for their
+    // nonexistence. Past MAX_SKIPPED_ITEMS, a repository full of images or fixtures is summed up by directory.
+    generateSkippedFilesSection() {
+        const skippedFiles = this.options.skippedFiles || [];
+        if (skippedFiles.length === 0) return '';
 
+        const describe = reason => SKIP_REASONS[reason] || reason;
+        const byReason = new Map();
+        for (const { reason } of skippedFiles) {
+            byReason.set(reason, (byReason.get(reason) || 0) + 1);
+        }
+        const listed = skippedFiles.slice(0, MAX_SKIPPED_ITEMS).map(skipped =>
+            `- ${path.relative(this.basePath, skipped.path)}${skipped.reason === 'vendored' ? '/' : ''} (${describe(skipped.reason)})`
+        );
+
+        const rest = new Map();
+        for (const { path: skippedPath, reason } of skippedFiles.slice(MAX_SKIPPED_ITEMS)) {
+            const key = `${path.relative(this.basePath, path.dirname(skippedPath)) || '.'}\0${reason}`;
+            rest.set(key, (rest.get(key) || 0) + 1);
+        }
+        const groups = [...rest].sort((a, b) => b[1] - a[1]);
+        const counted = groups.slice(0, MAX_SKIPPED_ITEMS).map(([key, count]) => {
+            const [directory, reason] = key.split('\0');
+            return `- ${count} in ${directory}/ (${describe(reason)})`;
+        });
+        const uncounted = groups.slice(MAX_SKIPPED_ITEMS).reduce((sum, [, count]) => sum + count, 0);
+        if (uncounted > 0) {
+            counted.push(`- ${uncounted} in ${groups.length - MAX_SKIPPED_ITEMS} other directories`);
+        }
+
+        return `## Skipped Files
+
+<skipped_files>
+${skippedFiles.length} path(s) were left out of this documentation: ${[...byReason].map(([reason, count]) => `${count} ${reason}`).join(', ')}.
+${listed.join('\n')}
+${counted.length > 0 ? `\nThe other ${skippedFiles.length - listed.length}, by directory:\n${counted.join('\n')}\n` : ''}</skipped_files>
+`;
+    }
+
+    async generatePluginSections(files, analyses, dependencyGraph) {
+        if (!this.plugins || this.plugins.sections.length === 0) return [];
+
+        this.progress.addSubtask('Generating plugin sections');
+        const generated = await this.plugins.generateSections({
+            repoName: this.repoName,
+            basePath: this.basePath,
+            files,
+            analyses,
+            dependencyGraph
+        }, this.progress);
+        this.progress.completeSubtask('Generating plugin sections');
+
+        return generated.map(({ title, content }) => ({
+            title,
+            content: `## ${title}\n\n<plugin_section>\n${content.trim()}\n</plugin_section>\n`
+        }));
+    }
+
+    createSection(title, kind, content) {
+        return {
+            title,
+            kind,
+            content,
+            tokens: estimateTokens(content)
+        };
+    }
+
+    async generateDirectorySections(directory, files, analyses, dependencyGraph, diagrams) {
+        const relativePath = path.relative(this.basePath, directory);
+        const title = `Directory: ${relativePath || 'Root'}`;
+        const budget = this.options.maxTokens - SECTION_OVERHEAD_TOKENS;
+
+        // Pack file blocks into as few parts as the token budget allows; the first part starts with the diagram
+        const diagram = diagrams.get(directory) || '';
+        const parts = [[]];
+        let partTokens = estimateTokens(diagram);
         for (const file of files) {
             const analysis = analyses.get(file);
-            const deps = dependencyGraph.get(file);
-            if (analysis) {
-                section += await this.formatFileSection(file, analysis, deps);
+            if (!analysis) continue;
+
+            for (const block of await this.formatFileBlocks(file, analysis, dependencyGraph.get(file))) {
+                const tokens = estimateTokens(block);
+                if (parts[parts.length - 1].length > 0 && partTokens + tokens > budget) {
+                    parts.push([]);
+                    partTokens = 0;
+                }
+                parts[parts.length - 1].push(block);
+                partTokens += tokens;
             }
         }
 
+        return parts.map((blocks, index) => {
+            const partTitle = parts.length > 1 ? `${title} (part ${index + 1}/${parts.length})` : title;
+            return this.createSection(partTitle, 'directory', this.formatDirectorySection(partTitle, files.length, blocks, index === 0 ? diagram : ''));
+        });
+    }
+
+    formatDirectorySection(title, fileCount, blocks, diagram = '') {
+        let section = `## ${title}
+
+<directory_analysis>
+This directory contains ${fileCount} file(s).\n\n`;
+        section += diagram;
+        section += blocks.join('');
         section += '</directory_analysis>';
         return section;
     }
 
-    async generateIndex(sections, repoFullName) {
+    // Rendered diagrams keyed by directory, like groupFilesByDirectory; directories without dependencies have none
+    formatDirectoryDiagrams(dependencyGraph) {
+        const formatted = new Map();
+        if (this.options.diagrams === 'none') return formatted;
+        for (const [dir, diagram] of createDirectoryDiagrams(dependencyGraph, this.basePath)) {
+            formatted.set(
+                path.resolve(this.basePath, ...dir.split('/')),
+                `Dependencies of these files on each other and on other directories:\n\n${renderDiagram(diagram, this.options.diagrams)}\n`
+            );
+        }
+        return formatted;
+    }
+
+    packDocuments(sections) {
+        const documents = [];
+        let current = null;
+
+        for (const section of sections) {
+            // Small consecutive directory sections share a file instead of producing many tiny ones
+            const fits = current
+                && current.kind === 'directory'
+                && section.kind === 'directory'
+                && current.tokens + section.tokens <= this.options.maxTokens;
+            if (fits) {
+                current.sections.push(section);
+                current.tokens += section.tokens;
+            } else {
+                current = {
+                    kind: section.kind,
+                    sections: [section],
+                    tokens: section.tokens
+                };
+                documents.push(current);
+            }
+        }
+
+        const usedFilenames = new Set();
+        return documents.map(document => {
+            const [first, ...rest] = document.sections;
+            const title = rest.length > 0 ? `${first.title} (+${rest.length} more)` : first.title;
+            const content = document.sections.map(section => section.content).join('\n\n');
+            return {
+                title,
+                filename: this.getUniqueFilename(title, usedFilenames),
+                sections: document.sections.map(section => section.title),
+                content,
+                tokens: estimateTokens(content)
+            };
+        });
+    }
+
+    getUniqueFilename(title, usedFilenames) {
+        const base = title
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'part';
+        let filename = `${base}.md`;
+        for (let suffix = 2; usedFilenames.has(filename); suffix++) {
+            filename = `${base}-${suffix}.md`;
+        }
+        usedFilenames.add(filename);
+        return filename;
+    }
+
+    async generateIndex(documents, repoFullName) {
+        const totalTokens = documents.reduce((sum, document) => sum + document.tokens, 0);
+        const skipped = this.generateSkippedFilesSection();
+
         return `# ${repoFullName} Documentation Index
 
 <documentation_index>
 ## Overview
-This documentation is split into ${sections.length} files for optimal processing with AI models.
+This documentation is split into ${documents.length} files for optimal processing with AI models.
+Total size: ${formatTokens(totalTokens)}, at most ${formatTokens(this.options.maxTokens)} per file.
 
 ## Files
-${sections.map((section, index) => {
-    const titleMatch = section.match(/^## [^#\n]*/m);
-    const title = titleMatch ? titleMatch[0].replace('## ', '').trim() : `Part ${index + 1}`;
-    const sanitizedTitle = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-    return `${index + 1}. ${sanitizedTitle}.md - ${title}`;
-}).join('\n')}
+${documents.map((document, index) =>
+    `${index + 1}. ${document.filename} - ${document.title} (${formatTokens(document.tokens)})`
+).join('\n')}
 
 ## Usage Guide
 1. Start with this index file to understand the documentation structure
 2. Each file contains a logical section of the codebase:
-   ${sections.map((section, index) => {
-       const titleMatch = section.match(/^## [^#\n]*/m);
-       const title = titleMatch ? titleMatch[0].replace('## ', '').trim() : `Part ${index + 1}`;
-       return `\n   - ${title}`;
-   }).join('')}
+   ${documents.map(document =>
+       document.sections.map(title => `\n   - ${title}`).join('')
+   ).join('')}
 3. Files are sized appropriately for AI processing
 4. Cross-references between files are maintained using relative links
 
-## Documentation Features
+${skipped ? `${skipped}\n` : ''}## Documentation Features
 - Comprehensive code analysis
 - Dependency mapping
 - Component relationships
@@ -143,20 +428,347 @@ ${sections.map((section, index) => {
 `;
     }
 
+    async generateBundle(files, analyses, dependencyGraph, repoFullName) {
+        const budget = this.options.bundleMaxTokens;
+
+        this.progress.addSubtask('Generating overview');
+        const overview = await this.generateOverviewSection();
+        const architecture = await this.generateArchitectureSection(analyses, dependencyGraph);
+        const health = this.generateGraphHealthSection(analyses, dependencyGraph);
+        const redactions = this.options.redactSecrets ? this.generateRedactionSection(this.listRedactions(files, analyses)) : '';
+        const skipped = this.generateSkippedFilesSection();
+        this.progress.completeSubtask('Generating overview');
+        // Plugins may share a title, so repeats are numbered
+        const pluginAnchors = new Set();
+        const pluginSections = (await this.generatePluginSections(files, analyses, dependencyGraph)).map(section => {
+            let anchor = this.getAnchor('plugin', section.title);
+            for (let suffix = 2; pluginAnchors.has(anchor); suffix++) {
+                anchor = `${this.getAnchor('plugin', section.title)}-${suffix}`;
+            }
+            pluginAnchors.add(anchor);
+            return { ...section, anchor };
+        });
+        const pluginContent = pluginSections.map(section => `<a id="${section.anchor}"></a>\n${section.content}`).join('\n');
+
+        // Every file is rendered once so its cost, including its table of contents entry, is known up front
+        this.progress.addSubtask('Processing files');
+        const entries = [];
+        for (const [index, file] of files.entries()) {
+            this.progress.update('Processing files', index + 1, files.length);
+            const analysis = analyses.get(file);
+            if (!analysis) continue;
+
+            const deps = dependencyGraph.get(file);
+            const relativePath = path.relative(this.basePath, file);
+            const anchor = this.getAnchor('file', relativePath);
+            const block = `<a id="${anchor}"></a>\n` + await this.formatFileSection(file, analysis, deps);
+            const tocLine = `   - [${relativePath}](#${anchor})\n`;
+            entries.push({
+                file,
+                relativePath,
+                block,
+                tokens: estimateTokens(block + tocLine),
+                priority: this.getFilePriority(file, analysis, deps)
+            });
+        }
+        this.progress.completeSubtask('Processing files');
+
+        const directoryDiagrams = this.formatDirectoryDiagrams(dependencyGraph);
+
+        // Drop the lowest-priority files (largest first on ties) until the bundle fits the budget
+        const omitted = [];
+        if (budget) {
+            const diagramTokens = [...directoryDiagrams.values()].reduce((sum, diagram) => sum + estimateTokens(diagram), 0);
+            const fixedTokens = estimateTokens(overview + architecture + health + redactions + pluginContent + skipped) + diagramTokens + SECTION_OVERHEAD_TOKENS * 2;
+            let total = fixedTokens + entries.reduce((sum, entry) => sum + entry.tokens, 0);
+            const dropOrder = [...entries].sort((a, b) => a.priority - b.priority || b.tokens - a.tokens);
+            for (const entry of dropOrder) {
+                if (total <= budget) break;
+                omitted.push(entry);
+                total -= entry.tokens;
+            }
+        }
+        const kept = entries.filter(entry => !omitted.includes(entry));
+
+        // Assemble the table of contents and the directory sections from what is left
+        const architectureAnchor = 'section-architecture-overview';
+        const healthAnchor = 'section-graph-health';
+        const redactionAnchor = 'section-redactions';
+        let toc = `1. [Architecture Overview](#${architectureAnchor})\n`;
+        toc += `2. [Graph Health](#${healthAnchor})\n`;
+        if (redactions) {
+            toc += `3. [Redactions](#${redactionAnchor})\n`;
+        }
+        const firstPluginNumber = redactions ? 4 : 3;
+        pluginSections.forEach((section, index) => {
+            toc += `${index + firstPluginNumber}. [${section.title}](#${section.anchor})\n`;
+        });
+        const firstDirectoryNumber = pluginSections.length + firstPluginNumber;
+        const directorySections = [];
+        for (const [directory, directoryFiles] of this.groupFilesByDirectory(kept.map(entry => entry.file))) {
+            const relativePath = path.relative(this.basePath, directory);
+            const title = `Directory: ${relativePath || 'Root'}`;
+            const anchor = relativePath ? this.getAnchor('directory', relativePath) : 'directory-root';
+            const directoryEntries = kept.filter(entry => directoryFiles.includes(entry.file));
+
+            toc += `${directorySections.length + firstDirectoryNumber}. [${title}](#${anchor})\n`;
+            toc += directoryEntries.map(entry => `   - [${entry.relativePath}](#${this.getAnchor('file', entry.relativePath)})\n`).join('');
+            directorySections.push(`<a id="${anchor}"></a>\n` + this.formatDirectorySection(
+                title,
+                directoryFiles.length,
+                directoryEntries.map(entry => entry.block),
+                directoryDiagrams.get(directory) || ''
+            ));
+        }
+
+        let omittedSection = '';
+        if (omitted.length > 0) {
+            const omittedAnchor = 'section-omitted-files';
+            toc += `${directorySections.length + firstDirectoryNumber}. [Omitted Files](#${omittedAnchor})\n`;
+            omittedSection = `\n\n<a id="${omittedAnchor}"></a>
+## Omitted Files
+
+<omitted_files>
+${omitted.length} lower-priority file(s) were left out to stay within ${formatTokens(budget)}:
+${omitted.map(entry => `- ${entry.relativePath} (${formatTokens(entry.tokens)})`).join('\n')}
+</omitted_files>`;
+        }
+
+        let skippedSection = '';
+        if (skipped) {
+            const skippedAnchor = 'section-skipped-files';
+            toc += `${directorySections.length + firstDirectoryNumber + (omittedSection ? 1 : 0)}. [Skipped Files](#${skippedAnchor})\n`;
+            skippedSection = `\n\n<a id="${skippedAnchor}"></a>\n${skipped.trimEnd()}`;
+        }
+
+        const content = `${overview}
+## Table of Contents
+
+<table_of_contents>
+${toc}</table_of_contents>
+
+<a id="${architectureAnchor}"></a>
+${architecture}
+<a id="${healthAnchor}"></a>
+${health}
+${redactions ? `<a id="${redactionAnchor}"></a>\n${redactions}\n` : ''}${pluginContent ? `${pluginContent}\n` : ''}${directorySections.join('\n\n')}${omittedSection}${skippedSection}
+`;
+
+        return {
+            filename: `${repoFullName}.md`,
+            content,
+            tokens: estimateTokens(content),
+            omitted: omitted.map(entry => entry.relativePath)
+        };
+    }
+
+    // The slug drops case and punctuation, so a/b-c.js and a-b/c.js, or Foo.js and foo.js, share one; a short hash
+    // of the name keeps their anchors apart. It depends on the name alone, so anchors stay the same between runs.
+    getAnchor(kind, name) {
+        const slug = name
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return `${kind}-${slug}-${hashContent(name).slice(0, 6)}`;
+    }
+
+    getFilePriority(filePath, analysis, deps) {
+        const filename = path.basename(filePath).toLowerCase();
+        const relativePath = path.relative(this.basePath, filePath).toLowerCase();
+        let priority = 0;
+
+        // Files other modules rely on, and files exposing an API, matter most
+        priority += (deps?.dependedOnBy?.length || 0) * 2;
+        priority += analysis.exports?.length || 0;
+        if (/^(readme|index|main)\./.test(filename)) priority += 5;
+        if (/(^|\/)(examples?|fixtures?|__mocks__|docs?)\//.test(relativePath)) priority -= 3;
+        if (analysis.type === 'generic') priority -= 1;
+
+        return priority;
+    }
+
+    async formatFileBlocks(filePath, analysis, deps) {
+        const relativePath = path.relative(this.basePath, filePath);
+        const extension = path.extname(filePath).substring(1);
+        const budget = this.options.maxTokens - SECTION_OVERHEAD_TOKENS;
+        const detail = this.getDetail(filePath);
+
+        const whole = await this.formatFileSection(filePath, analysis, deps);
+        if (estimateTokens(whole) <= budget || detail === 'outline') {
+            return [whole];
+        }
+
+        // Too large for one document: keep the analysis with the first chunk and split the code.
+        // Skeleton lines no longer match the declarations, so they are split between paragraphs.
+        const header = await this.formatFileAnalysis(filePath, analysis, deps);
+        const codeBudget = Math.max(budget - estimateTokens(header) - SECTION_OVERHEAD_TOKENS, MIN_CHUNK_TOKENS);
+        const code = this.getFileCode(filePath, analysis, detail);
+        const skeleton = code !== (analysis.content || '');
+        const chunks = this.splitFileContent(code, skeleton ? [] : this.getDeclarations(analysis), codeBudget);
+
+        return chunks.map((chunk, index) => {
+            const position = skeleton
+                ? `skeleton, part ${index + 1}/${chunks.length}`
+                : `part ${index + 1}/${chunks.length}, lines ${chunk.startLine}-${chunk.endLine}`;
+            let block = `### File: ${relativePath} (${position})\n\n`;
+            if (index === 0) {
+                block += header;
+            }
+            block += this.formatFileCode(extension, chunk.content);
+            return block;
+        });
+    }
+
+    // `splitPoints` (line indexes) replaces the declaration boundaries for content that is not source code
+    splitFileContent(content, declarations, budget, splitPoints = null) {
+        const lines = content.split('\n');
+        const lineTokens = lines.map(line => estimateTokens(line + '\n'));
+        const rangeTokens = (start, end) => lineTokens.slice(start, end).reduce((sum, tokens) => sum + tokens, 0);
+
+        const toSegments = (points, start, end) => {
+            const segments = [];
+            for (const point of [...points.filter(p => p > start && p < end), end]) {
+                segments.push([start, point]);
+                start = point;
+            }
+            return segments;
+        };
+
+        // Split between top-level declarations first; a declaration too large on its own
+        // (typically a class) is split again between its members
+        const segments = toSegments(splitPoints || this.findSplitPoints(declarations, lines), 0, lines.length)
+            .flatMap(([start, end]) => {
+                if (rangeTokens(start, end) <= budget) return [[start, end]];
+                const inner = declarations.filter(d => d.loc.start.line - 1 > start && d.loc.start.line - 1 < end);
+                return toSegments(this.findSplitPoints(inner, lines), start, end);
+            });
+
+        const chunks = [];
+        let chunkStart = 0;
+        let chunkTokens = 0;
+        const closeChunk = end => {
+            if (end > chunkStart) {
+                chunks.push({
+                    startLine: chunkStart + 1,
+                    endLine: end,
+                    content: lines.slice(chunkStart, end).join('\n')
+                });
+            }
+            chunkStart = end;
+            chunkTokens = 0;
+        };
+
+        for (const [segmentStart, segmentEnd] of segments) {
+            const segmentTokens = rangeTokens(segmentStart, segmentEnd);
+            if (chunkTokens > 0 && chunkTokens + segmentTokens > budget && segmentTokens <= budget) {
+                closeChunk(segmentStart);
+            }
+            // Whatever still does not fit is cut line by line
+            for (let line = segmentStart; line < segmentEnd; line++) {
+                if (chunkTokens > 0 && chunkTokens + lineTokens[line] > budget) {
+                    closeChunk(line);
+                }
+                chunkTokens += lineTokens[line];
+            }
+        }
+        closeChunk(lines.length);
+
+        return chunks;
+    }
+
+    getDeclarations(analysis) {
+        // Methods of impl blocks are also listed on their type, hence the Set
+        return [...new Set([
+            ...(analysis.functions || []),
+            ...(analysis.classes || []),
+            ...(analysis.classes || []).flatMap(c => c.methods || []),
+            ...(analysis.interfaces || []),
+            ...(analysis.types || []),
+            ...(analysis.impls || []),
+            ...(analysis.impls || []).flatMap(i => i.methods)
+        ])].filter(declaration => declaration.loc);
+    }
+
+    findSplitPoints(declarations, lines) {
+        if (declarations.length === 0) {
+            // Without structure, paragraphs separated by blank lines are the next best boundary
+            return lines
+                .map((line, index) => (line.trim() === '' ? index + 1 : null))
+                .filter(index => index !== null);
+        }
+
+        // Only split between outermost declarations, never inside one
+        const contains = (outer, inner) => outer !== inner
+            && outer.loc.start.line <= inner.loc.start.line
+            && outer.loc.end.line >= inner.loc.end.line;
+        const outermost = declarations.filter(declaration =>
+            !declarations.some(other => contains(other, declaration) && !contains(declaration, other))
+        );
+
+        return [...new Set(outermost.map(declaration => {
+            // Keep leading comments and decorators with the declaration they describe
+            let start = declaration.loc.start.line - 1;
+            while (start > 0 && /^\s*(\/\/|\/\*|\*|@)/.test(lines[start - 1])) {
+                start--;
+            }
+            return start;
+        }))].sort((a, b) => a - b);
+    }
+
     async formatFileSection(filePath, analysis, deps) {
         const relativePath = path.relative(this.basePath, filePath);
         const extension = path.extname(filePath).substring(1);
 
-        let section = `### File: ${relativePath}\n\n`;
-        section += '<file_analysis>\n';
+        const detail = this.getDetail(filePath);
+        const code = detail === 'outline' ? null : this.getFileCode(filePath, analysis, detail);
+        // Files without functions to elide, such as configuration and docs, are shown in full
+        const label = code === (analysis.content || '') ? '' : ` (${detail})`;
+
+        let section = `### File: ${relativePath}${label}\n\n`;
+        section += await this.formatFileAnalysis(filePath, analysis, deps);
+        if (code !== null) {
+            section += this.formatFileCode(extension, code);
+        }
+
+        return section;
+    }
+
+    getDetail(filePath) {
+        const relativePath = path.relative(this.basePath, filePath).split(path.sep).join('/');
+        let detail = this.options.detail || 'full';
+        for (const pattern of this.detailPatterns) {
+            if (pattern.matcher.ignores(relativePath)) {
+                detail = pattern.detail;
+            }
+        }
+        return detail;
+    }
+
+    // Skeletons are cached, a file that is split is rendered twice
+    getFileCode(filePath, analysis, detail) {
+        const content = analysis.content || '';
+        if (detail !== 'skeleton') return content;
+        if (!this.skeletons.has(filePath)) {
+            this.skeletons.set(filePath, createSkeleton(content, filePath, analysis));
+        }
+        return this.skeletons.get(filePath);
+    }
+
+    async formatFileAnalysis(filePath, analysis, deps) {
+        let section = '<file_analysis>\n';
         
         // Add file purpose
         section += await this.inferFilePurpose(filePath, analysis);
         
-        // Add dependencies
-        if (deps && deps.dependencies.length > 0) {
+        // Add dependencies: files of the repository first, then third-party packages and builtins
+        const local = (deps?.dependencies || []).filter(d => !deps.external.includes(d));
+        if (local.length > 0) {
             section += '\nDependencies:\n';
-            section += deps.dependencies.map(d => `- ${d}`).join('\n') + '\n';
+            section += local.map(d => `- ${path.relative(this.basePath, d)}${deps.internal.includes(d) ? '' : ' (unresolved)'}`).join('\n') + '\n';
+        }
+        if (deps?.external.length > 0) {
+            section += '\nExternal dependencies:\n';
+            section += deps.external.map(d => `- ${d}`).join('\n') + '\n';
         }
 
         // Add exports
@@ -166,9 +778,26 @@ ${sections.map((section, index) => {
         }
 
         // Add interfaces/types for TypeScript
-        if (analysis.interfaces) {
+        if (analysis.interfaces && analysis.interfaces.length > 0) {
             section += '\nInterfaces:\n';
-            section += analysis.interfaces.map(i => `- ${i.name}`).join('\n') + '\n';
+            section += analysis.interfaces.map(i => {
+                let interfaceDesc = `- ${i.name}${this.formatGenerics(i)}`;
+                if (i.extends && i.extends.length > 0) interfaceDesc += ` extends ${i.extends.join(', ')}`;
+                interfaceDesc += this.formatDeprecated(i) + this.formatDoc(i, '  ');
+                if (i.properties && i.properties.length > 0) {
+                    interfaceDesc += '\n  Members:\n' + i.properties.map(p =>
+                        `  - ${p.name}${p.optional ? '?' : ''}: ${p.type}${p.readonly ? ' [readonly]' : ''}`
+                    ).join('\n');
+                }
+                return interfaceDesc;
+            }).join('\n') + '\n';
+        }
+
+        if (analysis.types && analysis.types.length > 0) {
+            section += '\nTypes:\n';
+            section += analysis.types.map(t =>
+                `- ${t.name}${this.formatGenerics(t)} = ${t.type}${this.formatDeprecated(t)}${this.formatDoc(t, '  ')}`
+            ).join('\n') + '\n';
         }
 
         // Add functions/classes
@@ -176,42 +805,123 @@ ${sections.map((section, index) => {
             section += '\nFunctions:\n';
             section += analysis.functions.map(f => {
                 const params = f.params.join(', ');
-                return `- ${f.name}(${params})${f.async ? ' [async]' : ''}`;
+                const returns = f.returns ? ` -> ${f.returns}` : '';
+                return `- ${f.name}${this.formatGenerics(f)}(${params})${returns}${f.async ? ' [async]' : ''}` +
+                    `${this.formatDecorators(f)}${this.formatDeprecated(f)}${this.formatDoc(f, '  ')}`;
             }).join('\n') + '\n';
         }
 
         if (analysis.classes && analysis.classes.length > 0) {
             section += '\nClasses:\n';
             section += analysis.classes.map(c => {
-                let classDesc = `- ${c.name}`;
-                if (c.superClass) classDesc += ` extends ${c.superClass}`;
-                if (c.methods && c.methods.length > 0) {
-                    classDesc += '\n  Methods:\n';
-                    classDesc += c.methods.map(m => 
-                        `  - ${m.name}${m.static ? ' [static]' : ''}${m.async ? ' [async]' : ''}`
-                    ).join('\n');
-                }
+                let classDesc = `- ${c.name}${this.formatGenerics(c)}`;
+                if (c.bases && c.bases.length > 0) classDesc += `(${c.bases.join(', ')})`;
+                else if (c.superClass) classDesc += ` extends ${c.superClass}`;
+                if (c.kind && c.kind !== 'class') classDesc += ` [${c.kind}]`;
+                if (c.abstract) classDesc += ' [abstract]';
+                if (c.implements && c.implements.length > 0) classDesc += ` implements ${c.implements.join(', ')}`;
+                classDesc += this.formatDecorators(c) + this.formatDeprecated(c) + this.formatDoc(c, '  ');
+                if (c.variants && c.variants.length > 0) classDesc += `\n  Variants: ${c.variants.join(', ')}`;
+                classDesc += this.formatFields(c.fields);
+                classDesc += this.formatMethods(c.methods);
                 return classDesc;
             }).join('\n') + '\n';
         }
 
+        // Methods declared for types from other files (Rust impl blocks, Go methods)
+        const impls = (analysis.impls || []).filter(i => !i.local && i.methods.length > 0);
+        if (impls.length > 0) {
+            section += '\nImplementations:\n';
+            section += impls.map(i =>
+                `- ${i.trait ? `${i.trait} for ` : ''}${i.target || i.type}${this.formatMethods(i.methods)}`
+            ).join('\n') + '\n';
+        }
+
+        // Notes added by plugin annotators
+        if (analysis.annotations && analysis.annotations.length > 0) {
+            section += '\nAnnotations:\n';
+            section += analysis.annotations.map(a => `- ${a}`).join('\n') + '\n';
+        }
+
         section += '</file_analysis>\n\n';
 
-        // Add the actual code
-        section += '<file_code>\n';
+        return section;
+    }
+
+    formatFileCode(extension, code) {
+        let section = '<file_code>\n';
         section += '```' + extension + '\n';
-        section += analysis.content;
+        section += code;
         section += '\n```\n';
         section += '</file_code>\n\n';
 
         return section;
     }
 
+    formatMethods(methods) {
+        if (!methods || methods.length === 0) return '';
+        return '\n  Methods:\n' + methods.map(m => {
+            const signature = m.params ? `(${m.params.join(', ')})` : '';
+            const returns = m.returns ? ` -> ${m.returns}` : '';
+            const accessor = m.kind === 'get' || m.kind === 'set' ? ` [${m.kind}ter]` : '';
+            return `  - ${m.name}${this.formatGenerics(m)}${signature}${returns}${accessor}` +
+                `${m.visibility && m.visibility !== 'public' ? ` [${m.visibility}]` : ''}` +
+                `${m.static ? ' [static]' : ''}${m.abstract ? ' [abstract]' : ''}${m.async ? ' [async]' : ''}${this.formatDecorators(m)}` +
+                `${this.formatDeprecated(m)}${this.formatDoc(m, '    ')}`;
+        }).join('\n');
+    }
+
+    // The first paragraph of a declaration's doc comment or docstring, then its documented parameters and return value
+    formatDoc(declaration, indent) {
+        const lines = [];
+        const summary = declaration.docstring?.split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim();
+        if (summary) lines.push(summary);
+        for (const param of declaration.paramDocs || []) {
+            const type = param.type ? ` {${param.type}}` : '';
+            lines.push(`@param${type} ${param.optional ? `[${param.name}]` : param.name}${param.description ? ` - ${param.description}` : ''}`);
+        }
+        if (declaration.returnDoc) {
+            const { type, description } = declaration.returnDoc;
+            lines.push(`@returns${type ? ` {${type}}` : ''}${description ? ` ${description}` : ''}`);
+        }
+        return lines.map(line => `\n${indent}${line}`).join('');
+    }
+
+    formatDeprecated(declaration) {
+        if (!declaration.deprecated) return '';
+        return declaration.deprecated === true ? ' [deprecated]' : ` [deprecated: ${declaration.deprecated}]`;
+    }
+
+    formatFields(fields) {
+        if (!fields || fields.length === 0) return '';
+        return '\n  Fields:\n' + fields.map(f =>
+            `  - ${f.name}${f.optional ? '?' : ''}${f.type ? `: ${f.type}` : ''}` +
+            `${f.visibility && f.visibility !== 'public' ? ` [${f.visibility}]` : ''}` +
+            `${f.static ? ' [static]' : ''}${f.readonly ? ' [readonly]' : ''}`
+        ).join('\n');
+    }
+
+    // Type parameters as written: `<T extends Base>` in TypeScript, Java and Rust, `[T any]` in Go
+    formatGenerics(declaration) {
+        return declaration.generics || declaration.typeParams || '';
+    }
+
+    formatDecorators(declaration) {
+        const decorators = [
+            ...(declaration.decorators || []).map(d => `@${d}`),
+            ...(declaration.attributes || []).map(a => `#[${a}]`)
+        ];
+        return decorators.length > 0 ? ` [${decorators.join(' ')}]` : '';
+    }
+
     async inferFilePurpose(filePath, analysis) {
         const filename = path.basename(filePath).toLowerCase();
         let purpose = '\nFile Purpose: ';
 
-        if (filename.includes('index')) {
+        if (analysis.docstring) {
+            // The first paragraph of a module docstring says it better than any guess
+            purpose += analysis.docstring.split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim();
+        } else if (filename.includes('index')) {
             purpose += 'Entry point / Module exports';
         } else if (filename.includes('types') || filename.includes('.d.ts')) {
             purpose += 'Type definitions';
@@ -269,40 +979,6 @@ ${sections.map((section, index) => {
             }));
     }
 
-    async analyzeDataFlows(dependencyGraph) {
-        const flows = [];
-        const visited = new Set();
-
-        for (const [file, _] of dependencyGraph.entries()) {
-            if (!visited.has(file)) {
-                const chain = await this.findLongestDependencyChain(file, dependencyGraph, new Set());
-                if (chain.length > 1) {
-                    flows.push(`${chain.map(f => path.basename(f)).join(' → ')}`);
-                }
-                chain.forEach(f => visited.add(f));
-            }
-        }
-
-        return flows.slice(0, 5); // Return top 5 flows
-    }
-
-    async findLongestDependencyChain(file, graph, visited) {
-        if (visited.has(file)) return [];
-        visited.add(file);
-
-        const deps = graph.get(file)?.dependencies || [];
-        let longestChain = [file];
-
-        for (const dep of deps) {
-            const chain = await this.findLongestDependencyChain(dep, graph, new Set(visited));
-            if (chain.length + 1 > longestChain.length) {
-                longestChain = [file, ...chain];
-            }
-        }
-
-        return longestChain;
-    }
-
     async analyzeKeyDependencies(dependencyGraph) {
         const dependencyCounts = new Map();
 
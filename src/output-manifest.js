@@ -0,0 +1,105 @@
+// src/output-manifest.js
+import { basename, join, relative } from 'path';
+import fs from 'fs/promises';
+import { hashContent } from './analysis-cache.js';
+
+// Lists the documents each run wrote, with a hash of each, so the next run only rewrites what changed and removes
+// what it no longer produces. Each output format has its own list, and so does a single-file bundle: a JSON export
+// or a bundle does not replace the documents next to it. The manifest is kept in `manifestDir`, a directory that stays the same for a repository, and covers every
+// output directory below it, so a run into a new versioned directory (a new commit) can take over the unchanged
+// documents of the directory written last instead of writing them again.
+export const MANIFEST_FILE = '.g2c-manifest.json';
+
+async function readManifest(manifestDir) {
+    try {
+        return JSON.parse(await fs.readFile(join(manifestDir, MANIFEST_FILE), 'utf-8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
+
+// Hard links share the unchanged file with the earlier directory without writing it; where the file system has no
+// links it is copied
+async function linkOrCopy(source, target) {
+    try {
+        await fs.link(source, target);
+    } catch (error) {
+        await fs.copyFile(source, target);
+    }
+}
+
+// The run's timestamp is left out of the hash: a document that differs only in when it was generated is kept.
+// With `reuse` off every document is written again.
+export async function writeDocuments(outputDir, documents, { format, bundle = false, generatedAt, reuse = true, manifestDir = outputDir, onProgress = () => {} } = {}) {
+    const manifest = await readManifest(manifestDir);
+    const key = bundle ? `${format}-bundle` : format;
+    // Manifests written before they covered several directories list the documents of their own directory only
+    const entry = manifest[key] || {};
+    const directories = entry.directories || (entry.documents ? { '.': entry } : {});
+    const directory = relative(manifestDir, outputDir) || '.';
+    const previous = directories[directory]?.documents || {};
+    const latest = entry.latest && entry.latest !== directory && directories[entry.latest]
+        ? { dir: join(manifestDir, entry.latest), documents: directories[entry.latest].documents }
+        : null;
+    const hashes = {};
+    const stats = { written: 0, unchanged: 0, removed: 0 };
+
+    await fs.mkdir(outputDir, {
+        recursive: true
+    });
+    for (const [index, document] of documents.entries()) {
+        onProgress(index + 1, documents.length);
+        const filePath = join(outputDir, document.filename);
+        const hash = hashContent(generatedAt ? document.content.split(generatedAt).join('') : document.content);
+        hashes[document.filename] = hash;
+        if (reuse && previous[document.filename] === hash && await exists(filePath)) {
+            stats.unchanged++;
+            continue;
+        }
+
+        // Removed first, so a file linked from another directory is replaced rather than changed in both
+        await fs.rm(filePath, {
+            force: true
+        });
+        const earlier = latest && join(latest.dir, document.filename);
+        if (reuse && latest?.documents[document.filename] === hash && await exists(earlier)) {
+            await linkOrCopy(earlier, filePath);
+            stats.unchanged++;
+            continue;
+        }
+        await fs.writeFile(filePath, document.content);
+        stats.written++;
+    }
+
+    // Only files written by an earlier run, and only inside the output directory, are removed
+    for (const filename of Object.keys(previous)) {
+        if (filename in hashes || basename(filename) !== filename) continue;
+        await fs.rm(join(outputDir, filename), {
+            force: true
+        });
+        stats.removed++;
+    }
+
+    // Directories deleted since they were written are forgotten
+    const kept = {};
+    for (const [name, written] of Object.entries(directories)) {
+        if (name !== directory && await exists(join(manifestDir, name))) kept[name] = written;
+    }
+    kept[directory] = {
+        generatedAt,
+        documents: hashes
+    };
+    manifest[key] = {
+        latest: directory,
+        directories: kept
+    };
+    await fs.mkdir(manifestDir, {
+        recursive: true
+    });
+    await fs.writeFile(join(manifestDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+    return stats;
+}
@@ -0,0 +1,162 @@
+// src/plugin-registry.js
+import { createRequire } from 'module';
+import { isAbsolute, join, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Collects what plugins contribute. A plugin is a module whose default export is either
+// `register(registry)` or an object with a `register(registry)` method; registration may be async.
+class PluginRegistry {
+    constructor() {
+        this.analyzers = [];
+        this.annotators = [];
+        this.sections = [];
+        this.currentPlugin = null;
+        this.currentModule = null;
+    }
+
+    // { name, extensions: ['.graphql'], analyze(content, filePath), resolveImport?(fromPath, imp, { analysis, knownFiles }) }
+    registerAnalyzer(analyzer) {
+        const name = this.describe(analyzer, 'analyzer');
+        const extensions = analyzer?.extensions;
+        if (!Array.isArray(extensions) || extensions.length === 0 || !extensions.every(ext => typeof ext === 'string' && ext.startsWith('.'))) {
+            throw new Error(`${name} must list its file extensions, e.g. extensions: ['.graphql']`);
+        }
+        if (typeof analyzer.analyze !== 'function') {
+            throw new Error(`${name} must have an analyze(content, filePath) function`);
+        }
+        this.analyzers.push({
+            ...analyzer,
+            name: analyzer.name || this.currentPlugin,
+            extensions: extensions.map(ext => ext.toLowerCase()),
+            // The file of the plugin module, so the analysis cache notices when the plugin changes
+            module: this.currentModule
+        });
+    }
+
+    // { name, annotate(filePath, analysis, context) } returning a note, a list of notes or nothing
+    registerAnnotator(annotator) {
+        const name = this.describe(annotator, 'annotator');
+        if (typeof annotator?.annotate !== 'function') {
+            throw new Error(`${name} must have an annotate(filePath, analysis, context) function`);
+        }
+        this.annotators.push({ ...annotator, name: annotator.name || this.currentPlugin });
+    }
+
+    // { name, title, generate(context) } returning the section's markdown, or nothing to leave it out
+    registerSection(section) {
+        const name = this.describe(section, 'section');
+        if (typeof section?.generate !== 'function') {
+            throw new Error(`${name} must have a generate(context) function`);
+        }
+        if (typeof section.title !== 'string' || section.title.trim() === '') {
+            throw new Error(`${name} must have a title`);
+        }
+        this.sections.push({ ...section, name: section.name || this.currentPlugin });
+    }
+
+    describe(contribution, kind) {
+        return `Plugin ${kind} "${contribution?.name || this.currentPlugin}"`;
+    }
+
+    // The analyzer with the longest matching extension, so '.d.ts' can be handled apart from '.ts'
+    getAnalyzer(filePath) {
+        const lowerPath = filePath.toLowerCase();
+        let match = null;
+        for (const analyzer of this.analyzers) {
+            for (const ext of analyzer.extensions) {
+                if (lowerPath.endsWith(ext) && (!match || ext.length >= match.ext.length)) {
+                    match = { analyzer, ext };
+                }
+            }
+        }
+        return match?.analyzer || null;
+    }
+
+    getExtensions() {
+        return [...new Set(this.analyzers.flatMap(analyzer => analyzer.extensions))];
+    }
+
+    // Runs every annotator on every file; notes end up in `analysis.annotations`
+    async annotate(analyses, context, reporter) {
+        if (this.annotators.length === 0) return;
+        for (const [filePath, analysis] of analyses) {
+            const annotations = [];
+            for (const annotator of this.annotators) {
+                try {
+                    const result = await annotator.annotate(filePath, analysis, context);
+                    annotations.push(...[].concat(result ?? []).filter(note => typeof note === 'string' && note !== ''));
+                } catch (error) {
+                    reporter.warn(`Plugin annotator "${annotator.name}" failed on ${filePath}: ${error.message}`, { file: filePath });
+                }
+            }
+            if (annotations.length > 0) {
+                analysis.annotations = annotations;
+            }
+        }
+    }
+
+    // Sections are returned in registration order; a section that fails is left out with a warning
+    async generateSections(context, reporter) {
+        const sections = [];
+        for (const section of this.sections) {
+            try {
+                const content = await section.generate(context);
+                if (content) {
+                    sections.push({ title: section.title, content: String(content) });
+                }
+            } catch (error) {
+                reporter.warn(`Plugin section "${section.title}" failed: ${error.message}`);
+            }
+        }
+        return sections;
+    }
+}
+
+// Relative paths are taken from `cwd`; package names are looked up from `cwd` first so plugins
+// installed next to the project are found, then from github2claude's own dependencies. Resolves to the
+// plugin and the file it was loaded from.
+async function importPlugin(specifier, cwd) {
+    let url = specifier;
+    if (specifier.startsWith('.') || isAbsolute(specifier)) {
+        url = pathToFileURL(resolve(cwd, specifier)).href;
+    } else {
+        try {
+            url = pathToFileURL(createRequire(join(cwd, 'package.json')).resolve(specifier)).href;
+        } catch (error) {
+            // Fall back to a bare import below
+        }
+    }
+
+    try {
+        const module = await import(url);
+        const resolved = url.startsWith('file:') ? url : import.meta.resolve(url);
+        return {
+            plugin: module.default ?? module,
+            file: resolved.startsWith('file:') ? fileURLToPath(resolved) : null
+        };
+    } catch (error) {
+        throw new Error(`Could not load plugin "${specifier}": ${error.message}`);
+    }
+}
+
+// `plugins` holds module specifiers (from the config) and plugin objects or functions (from the API)
+export async function loadPlugins(plugins = [], { cwd = process.cwd() } = {}) {
+    const registry = new PluginRegistry();
+    for (const entry of plugins) {
+        const { plugin, file } = typeof entry === 'string' ? await importPlugin(entry, cwd) : { plugin: entry, file: null };
+        const label = typeof entry === 'string' ? entry : (plugin?.name || 'anonymous');
+        const register = typeof plugin === 'function' ? plugin : plugin?.register?.bind(plugin);
+        if (typeof register !== 'function') {
+            throw new Error(`Plugin "${label}" must export a register(registry) function or an object with a register method`);
+        }
+
+        registry.currentPlugin = plugin.name && typeof plugin !== 'function' ? plugin.name : label;
+        registry.currentModule = file;
+        await register(registry);
+        registry.currentPlugin = null;
+        registry.currentModule = null;
+    }
+    return registry;
+}
+
+export default PluginRegistry;
@@ -1,8 +1,14 @@
 // src/progress-util.js
 import chalk from 'chalk';
 
-class ProgressIndicator {
-    constructor() {
+export const REPORTER_TYPES = ['tty', 'plain', 'quiet', 'json'];
+
+// Base reporter: keeps track of task timings and leaves the output to subclasses.
+// Every reporter supports start, addSubtask, completeSubtask, update, info, warn, error, summary and finish.
+class Reporter {
+    constructor({ stream = process.stdout, errorStream = process.stderr } = {}) {
+        this.stream = stream;
+        this.errorStream = errorStream;
         this.startTime = null;
         this.currentTask = null;
         this.subtasks = new Map();
@@ -12,16 +18,7 @@ class ProgressIndicator {
         this.startTime = Date.now();
         this.currentTask = task;
         this.subtasks.clear();
-        console.log(chalk.blue(`\n🚀 Starting: ${task}`));
-    }
-
-    update(message, current, total) {
-        const percentage = Math.round((current / total) * 100);
-        const bar = this.getProgressBar(percentage);
-        process.stdout.write(`\r${chalk.cyan('→')} ${message}: ${bar} ${percentage}% (${current}/${total})`);
-        if (current === total) {
-            process.stdout.write('\n');
-        }
+        this.onStart(task);
     }
 
     addSubtask(name) {
@@ -29,21 +26,19 @@ class ProgressIndicator {
             startTime: Date.now(),
             completed: false
         });
-        console.log(chalk.cyan(`\n  ├─ Starting: ${name}`));
+        this.onSubtaskStart(name);
     }
 
     completeSubtask(name) {
         const task = this.subtasks.get(name);
         if (task && !task.completed) {
-            const duration = ((Date.now() - task.startTime) / 1000).toFixed(2);
-            console.log(chalk.green(`  └─ Completed: ${name} (${duration}s)`));
             task.completed = true;
+            this.onSubtaskComplete(name, Date.now() - task.startTime);
         }
     }
 
     finish() {
-        const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
-        console.log(chalk.green(`\n✨ Completed: ${this.currentTask} (${duration}s)\n`));
+        this.onFinish(this.currentTask, Date.now() - this.startTime);
 
         // Check for uncompleted subtasks
         for (const [name, task] of this.subtasks.entries()) {
@@ -53,19 +48,15 @@ class ProgressIndicator {
         }
     }
 
-    error(message) {
-        console.log(chalk.red(`\n❌ Error: ${message}`));
-    }
-
-    warn(message) {
-        console.log(chalk.yellow(`\n⚠️  Warning: ${message}`));
-    }
-
-    getProgressBar(percentage, length = 20) {
-        const filled = Math.round((percentage / 100) * length);
-        const empty = length - filled;
-        return chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(empty));
-    }
+    onStart() {}
+    onSubtaskStart() {}
+    onSubtaskComplete() {}
+    onFinish() {}
+    update() {}
+    info() {}
+    warn() {}
+    error() {}
+    summary() {}
 
     // Helper to format bytes to human-readable size
     formatBytes(bytes) {
@@ -87,5 +78,192 @@ class ProgressIndicator {
     }
 }
 
-// Export a singleton instance
-export default new ProgressIndicator();
\ No newline at end of file
+// Interactive terminal output with colors, emoji and a live progress bar
+export class TtyReporter extends Reporter {
+    onStart(task) {
+        this.stream.write(chalk.blue(`\n🚀 Starting: ${task}\n`));
+    }
+
+    onSubtaskStart(name) {
+        this.stream.write(chalk.cyan(`\n  ├─ Starting: ${name}\n`));
+    }
+
+    onSubtaskComplete(name, duration) {
+        this.stream.write(chalk.green(`  └─ Completed: ${name} (${(duration / 1000).toFixed(2)}s)\n`));
+    }
+
+    onFinish(task, duration) {
+        this.stream.write(chalk.green(`\n✨ Completed: ${task} (${(duration / 1000).toFixed(2)}s)\n\n`));
+    }
+
+    update(message, current, total) {
+        const percentage = Math.round((current / total) * 100);
+        const bar = this.getProgressBar(percentage);
+        this.stream.write(`\r${chalk.cyan('→')} ${message}: ${bar} ${percentage}% (${current}/${total})`);
+        if (current === total) {
+            this.stream.write('\n');
+        }
+    }
+
+    info(message) {
+        this.stream.write(chalk.gray(`  │  ${message}\n`));
+    }
+
+    warn(message) {
+        this.stream.write(chalk.yellow(`\n⚠️  Warning: ${message}\n`));
+    }
+
+    error(message, error) {
+        this.stream.write(chalk.red(`\n❌ Error: ${message}\n`));
+        if (error) {
+            this.errorStream.write(chalk.red(`${error.message}\n`));
+        }
+    }
+
+    summary(message) {
+        this.stream.write(chalk.green(`\n${message}\n`));
+    }
+
+    getProgressBar(percentage, length = 20) {
+        const filled = Math.round((percentage / 100) * length);
+        const empty = length - filled;
+        return chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(empty));
+    }
+}
+
+// Line-based output without colors or carriage returns, for CI logs and pipes
+export class PlainReporter extends Reporter {
+    constructor(options) {
+        super(options);
+        this.lastReported = new Map();
+    }
+
+    onStart(task) {
+        this.stream.write(`Starting: ${task}\n`);
+    }
+
+    onSubtaskStart(name) {
+        this.stream.write(`  Starting: ${name}\n`);
+    }
+
+    onSubtaskComplete(name, duration) {
+        this.stream.write(`  Completed: ${name} (${this.formatDuration(duration)})\n`);
+    }
+
+    onFinish(task, duration) {
+        this.stream.write(`Completed: ${task} (${this.formatDuration(duration)})\n`);
+    }
+
+    // Only report every quarter, a line per file would flood the log
+    update(message, current, total) {
+        const quarter = Math.floor((current / total) * 4);
+        if (current === total || quarter > (this.lastReported.get(message) ?? 0)) {
+            this.lastReported.set(message, current === total ? 0 : quarter);
+            this.stream.write(`  ${message}: ${current}/${total}\n`);
+        }
+    }
+
+    info(message) {
+        this.stream.write(`  ${message}\n`);
+    }
+
+    warn(message) {
+        this.stream.write(`Warning: ${message}\n`);
+    }
+
+    error(message, error) {
+        this.errorStream.write(`Error: ${message}${error ? `: ${error.message}` : ''}\n`);
+    }
+
+    summary(message) {
+        this.stream.write(`${message}\n`);
+    }
+}
+
+// Nothing but errors, on stderr
+export class QuietReporter extends Reporter {
+    error(message, error) {
+        this.errorStream.write(`Error: ${message}${error ? `: ${error.message}` : ''}\n`);
+    }
+}
+
+// One JSON object per line, for tools that consume the progress programmatically
+export class JsonLinesReporter extends Reporter {
+    constructor(options) {
+        super(options);
+        this.lastPercentage = new Map();
+    }
+
+    emit(event, data = {}) {
+        this.stream.write(JSON.stringify({
+            event,
+            time: new Date().toISOString(),
+            ...data
+        }) + '\n');
+    }
+
+    onStart(task) {
+        this.emit('task.start', { task });
+    }
+
+    onSubtaskStart(name) {
+        this.emit('subtask.start', { task: name });
+    }
+
+    onSubtaskComplete(name, duration) {
+        this.emit('subtask.complete', { task: name, durationMs: duration });
+    }
+
+    onFinish(task, duration) {
+        this.emit('task.complete', { task, durationMs: duration });
+    }
+
+    update(message, current, total) {
+        const percentage = Math.floor((current / total) * 100);
+        if (percentage !== this.lastPercentage.get(message) || current === total) {
+            this.lastPercentage.set(message, percentage);
+            this.emit('progress', { task: message, current, total });
+        }
+    }
+
+    info(message, details = {}) {
+        this.emit('info', { message, ...details });
+    }
+
+    warn(message, details = {}) {
+        this.emit('warning', { message, ...details });
+    }
+
+    error(message, error) {
+        this.emit('error', { message, ...(error ? { detail: error.message } : {}) });
+    }
+
+    summary(message, details = {}) {
+        this.emit('summary', { message, ...details });
+    }
+}
+
+const reporterClasses = {
+    tty: TtyReporter,
+    plain: PlainReporter,
+    quiet: QuietReporter,
+    json: JsonLinesReporter,
+};
+
+// Interactive output only makes sense on a real terminal outside CI
+export function detectReporterType(stream = process.stdout) {
+    return stream.isTTY && !process.env.CI ? 'tty' : 'plain';
+}
+
+export function createReporter(type = detectReporterType(), options = {}) {
+    const ReporterClass = reporterClasses[type];
+    if (!ReporterClass) {
+        throw new Error(`Unknown reporter "${type}" (available: ${REPORTER_TYPES.join(', ')})`);
+    }
+    return new ReporterClass(options);
+}
+
+export { Reporter };
+
+// Export a shared instance for callers that do not pass their own reporter
+export default createReporter();
@@ -0,0 +1,185 @@
+// src/secret-redactor.js
+import { extname } from 'path';
+
+// Credentials are replaced with [REDACTED:type] placeholders before a file is analyzed, so they reach neither
+// the analyses, the cache nor any document. A match spanning several lines keeps its line breaks, which keeps
+// the line numbers of everything after it those of the file.
+
+const PLACEHOLDER_PREFIX = '[REDACTED:';
+
+// Files where `KEY=value` and `key: value` lines are settings rather than code, so unquoted values count
+const SETTINGS_EXTENSIONS = ['', '.env', '.sh', '.bash', '.zsh', '.yml', '.yaml', '.ini', '.cfg', '.conf', '.properties', '.toml'];
+
+// Words that make a key hold a secret, unless the key ends in a word that names something about the secret
+const SECRET_WORDS = ['secret', 'token', 'password', 'passwd', 'pwd', 'apikey', 'credential', 'credentials'];
+const SECRET_WORD_PAIRS = [['api', 'key'], ['access', 'key'], ['private', 'key'], ['secret', 'key'], ['auth', 'key']];
+const DESCRIPTIVE_WORDS = ['type', 'name', 'names', 'url', 'uri', 'path', 'file', 'length', 'expiry', 'expires', 'ttl',
+    'field', 'header', 'label', 'placeholder', 'prompt', 'hint', 'env', 'var', 'count', 'id', 'endpoint', 'provider',
+    'pattern', 'patterns'];
+// Values that stand in for a secret rather than being one: settings, type names and placeholders
+const PLACEHOLDER_VALUES = ['true', 'false', 'yes', 'no', 'on', 'off', 'null', 'none', 'nil', 'undefined', 'required',
+    'optional', 'changeme', 'change_me', 'placeholder', 'example', 'redacted', 'hidden', 'masked', 'secret', 'password',
+    'token', 'todo', 'tbd', 'empty', 'string', 'number', 'boolean', 'object'];
+
+function splitWords(key) {
+    return key
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+// Only the last part of a dotted key counts: config.password holds a secret, token.close does not
+function isSecretKey(key) {
+    const words = splitWords(key.split('.').pop());
+    if (words.length === 0 || DESCRIPTIVE_WORDS.includes(words[words.length - 1])) return false;
+    return words.some(word => SECRET_WORDS.includes(word))
+        || SECRET_WORD_PAIRS.some(([first, second]) => words.some((word, i) => word === first && words[i + 1] === second));
+}
+
+// References to a value kept elsewhere, such as ${DB_PASSWORD}, $TOKEN, <your-key> or %(secret)s
+function isReference(value) {
+    return /^[$<{%]/.test(value) || value.includes('${') || /^process\.env\b|^os\.environ\b|^ENV\[/.test(value);
+}
+
+// Values assigned to a secret-sounding key that are placeholders or settings rather than credentials; a plain
+// word such as "correcthorse" is still a password
+function isSecretValue(value) {
+    return !isReference(value) && !PLACEHOLDER_VALUES.includes(value.toLowerCase()) && !/^\d+$/.test(value)
+        && !/^(.)\1*$/.test(value);
+}
+
+// A quoted value is no secret when it repeats its key (getToken: "getToken"), is one of a union of literal types
+// (type Credentials = "include" | "omit") or is a word in backticks, which in prose is inline code
+function isQuotedSecret(value, match) {
+    const { key } = match.groups;
+    const after = match.input.slice(match.index + match[0].length).trimStart();
+    return isSecretKey(key) && isSecretValue(value)
+        && value.toLowerCase() !== key.split('.').pop().toLowerCase()
+        && !after.startsWith('|')
+        && !(match[3] === '`' && /^[a-z]+$/i.test(value));
+}
+
+// Shannon entropy in bits per character
+function entropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let bits = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        bits -= p * Math.log2(p);
+    }
+    return bits;
+}
+
+// How often consecutive characters switch between lower case, upper case and digits, separators left out;
+// random tokens switch at about every other character, identifiers such as Some_Message_1234 rarely do
+function classChangeRate(value) {
+    const classes = value.replace(/[^A-Za-z0-9]/g, '').split('').map(char => (/[a-z]/.test(char) ? 0 : /[A-Z]/.test(char) ? 1 : 2));
+    const changes = classes.filter((cls, i) => i > 0 && cls !== classes[i - 1]).length;
+    return changes / Math.max(classes.length - 1, 1);
+}
+
+// Random-looking tokens mix lower case, upper case and digits with few repeated characters. Subresource
+// integrity hashes (sha512-...) look the same but are not secrets.
+function isHighEntropy(value) {
+    return !/^sha\d+-/.test(value) && /[a-z]/.test(value) && /[A-Z]/.test(value) && /[0-9]/.test(value)
+        && entropy(value) >= 4 && classChangeRate(value) >= 0.3;
+}
+
+// Checked in order, so a value is reported under the most specific type that matches it. Patterns with a
+// `secret` group replace only that part of the match. Names start at a word boundary and have a length cap, so a
+// long run of name characters (minified code, hex blobs) is tried once instead of from every position in it.
+const DETECTORS = [
+    {
+        type: 'private-key',
+        pattern: /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY\2-----/gd
+    },
+    { type: 'aws-access-key-id', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/gd },
+    { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/gd },
+    { type: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/gd },
+    { type: 'stripe-key', pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}/gd },
+    { type: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/gd },
+    { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/gd },
+    {
+        // The password of user:password@host in a connection string or URL
+        type: 'password',
+        pattern: /(?<![\w+.-])[a-z][a-z0-9+.-]{0,31}:\/\/[^\s:/?#@'"`]+:(?<secret>[^\s/?#@'"`]+)@/gid,
+        accept: value => !isReference(value)
+    },
+    {
+        // key = "value", key: 'value', "key": "value", 'key' => 'value' and friends, in any language
+        type: 'secret-value',
+        pattern: /(["']?)(?<![\w.-])(?<key>[A-Za-z_][\w.-]{0,63})\1[ \t]*(?::=|=>|[:=])[ \t]*(["'`])(?<secret>[^"'`\s\\]{4,})\3/gd,
+        accept: isQuotedSecret
+    },
+    {
+        // Unquoted KEY=value and key: value lines of settings files, shell scripts and Dockerfiles
+        type: 'secret-value',
+        pattern: /^[ \t]*(?:(?:export|ENV|ARG)[ \t]+)?(?<key>[A-Za-z_][\w.-]{0,63})[ \t]*[=:][ \t]*(?<secret>[^\s"'#][^\s#]{3,})/gmd,
+        accept: (value, match) => isSecretKey(match.groups.key) && isSecretValue(value),
+        settingsOnly: true
+    },
+    {
+        type: 'high-entropy-string',
+        pattern: /(["'`])(?<secret>[A-Za-z0-9+/_=-]{20,})\1/gd,
+        accept: isHighEntropy
+    }
+];
+
+function applyDetector(content, detector, redactions) {
+    let result = '';
+    let last = 0;
+    let line = 1;
+    let lineCounted = 0;
+    for (const match of content.matchAll(detector.pattern)) {
+        const [start, end] = match.indices.groups?.secret || match.indices[0];
+        const value = content.slice(start, end);
+        if (value.startsWith(PLACEHOLDER_PREFIX) || (detector.accept && !detector.accept(value, match))) continue;
+
+        for (let i = content.indexOf('\n', lineCounted); i !== -1 && i < start; i = content.indexOf('\n', i + 1)) {
+            line++;
+            lineCounted = i + 1;
+        }
+        redactions.push({
+            type: detector.type,
+            line
+        });
+        const lineBreaks = value.split('\n').length - 1;
+        result += content.slice(last, start) + `${PLACEHOLDER_PREFIX}${detector.type}]` + '\n'.repeat(lineBreaks);
+        last = end;
+    }
+    return last === 0 ? content : result + content.slice(last);
+}
+
+// Returns the content with every secret found replaced, and { type, line } for each replacement
+export function redactSecrets(content, filePath) {
+    const settings = SETTINGS_EXTENSIONS.includes(extname(filePath).toLowerCase());
+    const redactions = [];
+    let redacted = content;
+    for (const detector of DETECTORS) {
+        if (detector.settingsOnly && !settings) continue;
+        redacted = applyDetector(redacted, detector, redactions);
+    }
+    return {
+        content: redacted,
+        redactions: redactions.sort((a, b) => a.line - b.line)
+    };
+}
+
+// Redacts the lines of a unified diff as if they were the file, leaving the diff's own headers alone
+export function redactDiff(diff, filePath) {
+    const lines = diff.split('\n');
+    let inHunk = false;
+    const isCode = lines.map(line => {
+        if (line.startsWith('diff --git ')) inHunk = false;
+        else if (line.startsWith('@@')) inHunk = true;
+        else return inHunk && /^[ +-]/.test(line);
+        return false;
+    });
+    const { content } = redactSecrets(lines.map((line, i) => (isCode[i] ? line.slice(1) : '')).join('\n'), filePath);
+    const redacted = content.split('\n');
+    return lines.map((line, i) => (isCode[i] ? line[0] + redacted[i] : line)).join('\n');
+}
@@ -0,0 +1,140 @@
+// src/source-util.js
+import { basename, dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import fs from 'fs/promises';
+import simpleGit from 'simple-git';
+
+const SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+// Remote locations git can clone from: https/http, ssh://, git://, file:// and scp-style git@host:org/repo
+const URL_PATTERN = /^(https?|ssh|git|file):\/\//i;
+const SCP_PATTERN = /^[\w.-]+@[\w.-]+:(?!\/\/)(.+)$/;
+
+function stripGitSuffix(name) {
+    return name.replace(/\.git$/i, '');
+}
+
+function splitRepoPath(repoPath) {
+    const segments = repoPath
+        .split('/')
+        .filter(Boolean);
+    const repoName = stripGitSuffix(segments.pop() || '');
+    // GitLab-style subgroups (group/subgroup/repo) are kept as a single namespace
+    const username = segments.join('-');
+    return {
+        username,
+        repoName
+    };
+}
+
+export function isRemoteSource(source) {
+    return URL_PATTERN.test(source) || SCP_PATTERN.test(source);
+}
+
+export function extractRepoInfo(url) {
+    const scpMatch = url.match(SCP_PATTERN);
+    if (scpMatch && !URL_PATTERN.test(url)) {
+        return splitRepoPath(scpMatch[1]);
+    }
+
+    if (/^file:\/\//i.test(url)) {
+        const localPath = fileURLToPath(url).replace(/\/+$/, '');
+        return {
+            username: basename(dirname(localPath)) || 'local',
+            repoName: stripGitSuffix(basename(localPath))
+        };
+    }
+
+    const { pathname } = new URL(url);
+    const info = splitRepoPath(pathname);
+    if (!info.username || !info.repoName) {
+        throw new Error(`Could not determine repository owner and name from ${url}`);
+    }
+    return info;
+}
+
+export async function resolveSource(source) {
+    if (isRemoteSource(source)) {
+        return {
+            type: 'remote',
+            location: source,
+            ...extractRepoInfo(source)
+        };
+    }
+
+    const localPath = resolve(source);
+    const stats = await fs.stat(localPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+        throw new Error(`Source is neither a Git URL nor an existing directory: ${source}`);
+    }
+
+    return {
+        type: 'local',
+        location: localPath,
+        username: basename(dirname(localPath)) || 'local',
+        repoName: basename(localPath)
+    };
+}
+
+export function isCommitSha(ref) {
+    return SHA_PATTERN.test(ref);
+}
+
+// Local paths go through file:// so git honours --depth and --filter
+function toCloneUrl(location) {
+    return isRemoteSource(location) ? location : pathToFileURL(location).href;
+}
+
+// The whole history without any files checked out; blobs are fetched when a command needs them
+export async function cloneHistory(location, targetPath) {
+    await simpleGit().clone(toCloneUrl(location), targetPath, ['--filter=blob:none', '--no-checkout']);
+}
+
+export async function cloneRepository(location, targetPath, ref) {
+    const remote = toCloneUrl(location);
+    const git = simpleGit();
+
+    if (!ref) {
+        // Partial clone keeps history and tags for version detection without downloading every blob
+        await git.clone(remote, targetPath, ['--filter=blob:none']);
+        return;
+    }
+
+    if (!isCommitSha(ref)) {
+        try {
+            // Branches and tags can be fetched as a single shallow snapshot
+            await git.clone(remote, targetPath, ['--depth', '1', '--branch', ref]);
+            return;
+        } catch (error) {
+            await fs.rm(targetPath, { recursive: true, force: true });
+        }
+    }
+
+    // Commit SHAs (and anything else git can resolve) need the history to check out
+    await cloneHistory(location, targetPath);
+    try {
+        await simpleGit(targetPath).checkout(ref);
+    } catch (error) {
+        throw new Error(`Could not check out ref "${ref}": ${error.message.trim()}`);
+    }
+}
+
+export async function getRevision(repoPath) {
+    const git = simpleGit(repoPath);
+    if (!await git.checkIsRepo().catch(() => false)) {
+        return null;
+    }
+
+    try {
+        const commit = (await git.revparse(['HEAD'])).trim();
+        const status = await git.status();
+        return {
+            commit,
+            shortCommit: commit.slice(0, 7),
+            dirty: !status.isClean()
+        };
+    } catch (error) {
+        // Repository without any commits yet
+        return null;
+    }
+}
@@ -0,0 +1,203 @@
+// src/structured-exporter.js
+import path from 'path';
+import { analyzeGraphHealth } from './graph-health.js';
+
+// Bump the major version for breaking changes to the model, the minor version for additions
+export const SCHEMA_VERSION = '1.2';
+export const SCHEMA_NAME = 'github2claude/analysis';
+
+const LANGUAGES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    py: 'python',
+    go: 'go',
+    java: 'java',
+    php: 'php',
+    rb: 'ruby',
+    rs: 'rust',
+    sh: 'shell',
+    md: 'markdown',
+    txt: 'text',
+    yml: 'yaml',
+};
+
+// Element names used for the items of each list when serializing to XML
+const XML_ITEM_NAMES = {
+    files: 'file',
+    imports: 'import',
+    specifiers: 'specifier',
+    exports: 'export',
+    functions: 'function',
+    params: 'param',
+    classes: 'class',
+    methods: 'method',
+    interfaces: 'interface',
+    properties: 'property',
+    types: 'type',
+    decorators: 'decorator',
+    attributes: 'attribute',
+    bases: 'base',
+    imported: 'name',
+    fields: 'field',
+    variants: 'variant',
+    modules: 'module',
+    impls: 'impl',
+    implements: 'trait',
+    extends: 'type',
+    throws: 'type',
+    traits: 'trait',
+    mixins: 'module',
+    constants: 'constant',
+    annotations: 'annotation',
+    paramDocs: 'param',
+    nodes: 'node',
+    edges: 'edge',
+    cycles: 'cycle',
+    path: 'file',
+    entryPoints: 'file',
+    orphans: 'file',
+    unresolvedImports: 'import',
+    redactions: 'redaction',
+    skippedFiles: 'file',
+};
+
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+// Source locations are reduced to line numbers, the only part that is stable across parsers
+function normalizeValue(key, value) {
+    if (key === 'loc') {
+        return value ? { startLine: value.start.line, endLine: value.end.line } : undefined;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => normalizeValue(null, item));
+    }
+    if (value && typeof value === 'object') {
+        const normalized = {};
+        for (const [childKey, childValue] of Object.entries(value)) {
+            const outputKey = childKey === 'loc' ? 'location' : childKey;
+            const normalizedValue = normalizeValue(childKey, childValue);
+            if (normalizedValue !== undefined) {
+                normalized[outputKey] = normalizedValue;
+            }
+        }
+        return normalized;
+    }
+    return value;
+}
+
+function describeFile(filePath, analysis, basePath) {
+    const { content, type, extension, ...details } = analysis;
+    const fileExtension = path.extname(filePath).substring(1).toLowerCase();
+    return {
+        path: toPosixPath(path.relative(basePath, filePath)),
+        language: LANGUAGES[fileExtension] || fileExtension || 'text',
+        size: (content || '').length,
+        ...normalizeValue(null, details)
+    };
+}
+
+function describeGraph(dependencyGraph, basePath) {
+    const relativeTo = filePath => toPosixPath(path.relative(basePath, filePath));
+    const edges = [];
+
+    for (const [filePath, node] of dependencyGraph.entries()) {
+        for (const dependency of node.dependencies) {
+            let kind = 'external';
+            let target = dependency;
+            if (dependencyGraph.has(dependency)) {
+                kind = 'internal';
+                target = relativeTo(dependency);
+            } else if (path.isAbsolute(dependency)) {
+                // A local import that did not resolve to any analyzed file
+                kind = 'unresolved';
+                target = relativeTo(dependency);
+            }
+            edges.push({ from: relativeTo(filePath), to: target, kind });
+        }
+    }
+
+    return {
+        nodes: [...dependencyGraph.keys()].map(relativeTo),
+        edges
+    };
+}
+
+function describeGraphHealth(analyses, dependencyGraph, basePath) {
+    const relativeTo = filePath => toPosixPath(path.relative(basePath, filePath));
+    const health = analyzeGraphHealth(analyses, dependencyGraph, basePath);
+    return {
+        cycles: health.cycles.map(cycle => ({ files: cycle.files.map(relativeTo), path: cycle.path.map(relativeTo) })),
+        entryPoints: health.entryPoints.map(relativeTo),
+        orphans: health.orphans.map(relativeTo),
+        unresolvedImports: health.unresolvedImports.map(({ from, to }) => ({ from: relativeTo(from), to: relativeTo(to) }))
+    };
+}
+
+export function buildAnalysisModel({ repository, basePath, files, analyses, dependencyGraph, skippedFiles = [], generatedAt }) {
+    return {
+        schema: SCHEMA_NAME,
+        schemaVersion: SCHEMA_VERSION,
+        generatedAt: generatedAt || new Date().toISOString(),
+        repository,
+        files: files
+            .filter(file => analyses.has(file))
+            .map(file => describeFile(file, analyses.get(file), basePath)),
+        dependencyGraph: describeGraph(dependencyGraph, basePath),
+        graphHealth: describeGraphHealth(analyses, dependencyGraph, basePath),
+        skippedFiles: skippedFiles.map(({ path: filePath, reason }) => ({ path: toPosixPath(path.relative(basePath, filePath)), reason }))
+    };
+}
+
+export function serializeJSON(model) {
+    return JSON.stringify(model, null, 2) + '\n';
+}
+
+// Field names that can be element names as they are; others, such as keys from plugin analyzers, become
+// <field name="...">. Characters XML 1.0 does not allow at all, even escaped, are replaced.
+const XML_NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(XML_INVALID_CHARS, '\uFFFD')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function toXmlElement(name, value, indent) {
+    const pad = '  '.repeat(indent);
+    const [open, close] = XML_NAME_PATTERN.test(name) ? [name, name] : [`field name="${escapeXml(name)}"`, 'field'];
+    if (value === null || value === undefined) {
+        return `${pad}<${open}/>`;
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `${pad}<${open}/>`;
+        const itemName = XML_ITEM_NAMES[name] || 'item';
+        const items = value.map(item => toXmlElement(itemName, item, indent + 1));
+        return `${pad}<${open}>\n${items.join('\n')}\n${pad}</${close}>`;
+    }
+    if (typeof value === 'object') {
+        const children = Object.entries(value).map(([key, child]) => toXmlElement(key, child, indent + 1));
+        if (children.length === 0) return `${pad}<${open}/>`;
+        return `${pad}<${open}>\n${children.join('\n')}\n${pad}</${close}>`;
+    }
+    return `${pad}<${open}>${escapeXml(value)}</${close}>`;
+}
+
+export function serializeXML(model) {
+    const { schema, schemaVersion, ...body } = model;
+    const children = Object.entries(body).map(([key, value]) => toXmlElement(key, value, 1));
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<analysis schema="${escapeXml(schema)}" schemaVersion="${escapeXml(schemaVersion)}">
+${children.join('\n')}
+</analysis>
+`;
+}
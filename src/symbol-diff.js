@@ -0,0 +1,84 @@
+// src/symbol-diff.js
+
+// Compares two analyses of the same file by their declarations: exports, functions, classes and their
+// methods, interfaces and types, keyed by kind and name. A declaration present on both sides is changed
+// when its signature differs or, for functions and methods, when its source lines do.
+
+function formatParams(declaration) {
+    const returns = declaration.returns ? ` -> ${declaration.returns}` : '';
+    return `(${(declaration.params || []).join(', ')})${returns}${declaration.async ? ' [async]' : ''}`;
+}
+
+function sourceOf(lines, declaration) {
+    if (!declaration.loc) return undefined;
+    return lines.slice(declaration.loc.start.line - 1, declaration.loc.end.line).join('\n');
+}
+
+export function listSymbols(analysis) {
+    if (!analysis) return [];
+    const lines = (analysis.content || '').split('\n');
+    const symbols = [];
+    const add = (kind, name, signature, source) => symbols.push({ kind, name, signature, source });
+
+    for (const exported of analysis.exports || []) {
+        add('export', exported.name, exported.type);
+    }
+    for (const fn of analysis.functions || []) {
+        add('function', fn.name, `${fn.name}${formatParams(fn)}`, sourceOf(lines, fn));
+    }
+    for (const cls of analysis.classes || []) {
+        const bases = cls.bases?.length > 0 ? `(${cls.bases.join(', ')})` : cls.superClass ? ` extends ${cls.superClass}` : '';
+        const implemented = cls.implements?.length > 0 ? ` implements ${cls.implements.join(', ')}` : '';
+        add(cls.kind && cls.kind !== 'class' ? cls.kind : 'class', cls.name, `${cls.name}${bases}${implemented}`);
+        for (const method of cls.methods || []) {
+            const name = `${cls.name}.${method.name}`;
+            add('method', name, `${name}${method.params ? formatParams(method) : ''}${method.static ? ' [static]' : ''}`, sourceOf(lines, method));
+        }
+    }
+    for (const impl of (analysis.impls || []).filter(i => !i.local)) {
+        for (const method of impl.methods || []) {
+            const name = `${impl.target || impl.type}.${method.name}`;
+            add('method', name, `${name}${method.params ? formatParams(method) : ''}`, sourceOf(lines, method));
+        }
+    }
+    for (const iface of analysis.interfaces || []) {
+        const members = (iface.properties || []).map(p => `${p.name}${p.optional ? '?' : ''}: ${p.type}`);
+        add('interface', iface.name, `${iface.name} { ${members.join('; ')} }`);
+    }
+    for (const type of analysis.types || []) {
+        add('type', type.name, `${type.name} = ${type.type}`);
+    }
+    return symbols;
+}
+
+// Overloads and redeclarations share a name; they are told apart by their order
+function keyed(symbols) {
+    const counts = new Map();
+    return new Map(symbols.map(symbol => {
+        const key = `${symbol.kind} ${symbol.name}`;
+        const count = (counts.get(key) || 0) + 1;
+        counts.set(key, count);
+        return [count > 1 ? `${key} #${count}` : key, symbol];
+    }));
+}
+
+// `before` is null for added files and `after` for deleted ones
+export function diffSymbols(before, after) {
+    const previous = keyed(listSymbols(before));
+    const current = keyed(listSymbols(after));
+    const describe = ({ kind, name, signature }) => ({ kind, name, signature });
+
+    const added = [...current].filter(([key]) => !previous.has(key)).map(([, symbol]) => describe(symbol));
+    const removed = [...previous].filter(([key]) => !current.has(key)).map(([, symbol]) => describe(symbol));
+    const changed = [];
+    for (const [key, symbol] of current) {
+        const old = previous.get(key);
+        if (!old) continue;
+        if (old.signature !== symbol.signature) {
+            changed.push({ ...describe(symbol), before: old.signature, change: 'signature' });
+        } else if (old.source !== symbol.source) {
+            changed.push({ ...describe(symbol), change: 'implementation' });
+        }
+    }
+    return { added, removed, changed };
+}
@@ -0,0 +1,12 @@
+// src/token-util.js
+
+// Rough average for code and English prose with Claude's tokenizer
+export const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+export function formatTokens(tokens) {
+    return `~${tokens.toLocaleString('en-US')} tokens`;
+}
@@ -0,0 +1,99 @@
+// src/worker-pool.js
+import { Worker } from 'worker_threads';
+
+// A fixed number of worker threads running `workerFile`, each handling one task at a time; tasks wait in a
+// queue until a worker is free. Workers answer a task with { type: 'result', result } or { type: 'error', error }
+// and may post other messages, which go to `onMessage`. A worker that dies fails its task and is replaced,
+// unless it died before it was ready, in which case the tasks left are failed instead.
+class WorkerPool {
+    constructor(workerFile, size, { onMessage = () => {} } = {}) {
+        this.workerFile = workerFile;
+        this.onMessage = onMessage;
+        this.queue = [];
+        this.idle = [];
+        this.workers = new Set();
+        this.closed = false;
+        for (let i = 0; i < size; i++) {
+            this.spawn();
+        }
+    }
+
+    spawn() {
+        const entry = {
+            worker: new Worker(this.workerFile),
+            task: null,
+            ready: false
+        };
+        entry.worker.on('message', message => this.handleMessage(entry, message));
+        entry.worker.on('error', error => this.fail(entry, error));
+        entry.worker.on('exit', code => this.fail(entry, new Error(`Worker stopped with exit code ${code}`)));
+        this.workers.add(entry);
+        this.release(entry);
+    }
+
+    handleMessage(entry, message) {
+        if (message.type === 'ready') {
+            entry.ready = true;
+        } else if (message.type === 'result' || message.type === 'error') {
+            const { task } = entry;
+            entry.task = null;
+            if (message.type === 'result') task.resolve(message.result);
+            else task.reject(new Error(message.error));
+            this.release(entry);
+        } else {
+            this.onMessage(message);
+        }
+    }
+
+    // Hands the next queued task to a worker, or parks it until one comes in
+    release(entry) {
+        const task = this.queue.shift();
+        if (!task) {
+            this.idle.push(entry);
+            return;
+        }
+        entry.task = task;
+        entry.worker.postMessage(task.data);
+    }
+
+    fail(entry, error) {
+        if (this.closed || !this.workers.delete(entry)) return;
+        this.idle = this.idle.filter(idle => idle !== entry);
+        entry.task?.reject(error);
+        entry.worker.terminate();
+
+        if (entry.ready) {
+            this.spawn();
+        } else if (this.workers.size === 0) {
+            for (const task of this.queue.splice(0)) {
+                task.reject(error);
+            }
+        }
+    }
+
+    run(data) {
+        return new Promise((resolve, reject) => {
+            const task = { data, resolve, reject };
+            if (this.workers.size === 0) {
+                reject(new Error('No worker is running'));
+                return;
+            }
+            const entry = this.idle.pop();
+            if (entry) {
+                entry.task = task;
+                entry.worker.postMessage(data);
+            } else {
+                this.queue.push(task);
+            }
+        });
+    }
+
+    async close() {
+        this.closed = true;
+        await Promise.all([...this.workers].map(({ worker }) => worker.terminate()));
+        this.workers.clear();
+        this.idle = [];
+    }
+}
+
+export default WorkerPool;